@@ -0,0 +1,161 @@
+/**
+ * Flappy Strawberry — achievements
+ *
+ * Achievements are plain data checked against the current run and lifetime totals. The
+ * tracker is fed the events of every simulation step and the end of every run; the adapter
+ * stores its progress and shows the toasts. No DOM access here.
+ */
+
+import { POWERUP_KINDS } from './core.js';
+
+/** A pass counts as a close shave when the hitbox came at most this close to a segment (px). */
+export const NEAR_MISS_PX = 6;
+
+/**
+ * Lifetime counters, kept across runs.
+ * @typedef {Object} AchievementTotals
+ * @property {number} flaps
+ * @property {number} seeds
+ * @property {number} bestsBeaten - Runs that beat an earlier best score.
+ */
+
+/**
+ * What the current run has done so far.
+ * @typedef {Object} RunStats
+ * @property {number} score
+ * @property {number} nearMisses
+ * @property {number} shieldSaves
+ * @property {Set<import('./core.js').PowerUpKind>} powerUps - Kinds picked up.
+ * @property {boolean} daily
+ * @property {boolean} finished
+ */
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id - Stable key; names and descriptions are `achievement.<id>` and
+ *   `achievement.<id>.desc` in i18n.js.
+ * @property {(run: RunStats, totals: AchievementTotals) => boolean} check
+ * @property {{total: keyof AchievementTotals, goal: number}} [progress] - Lifetime counter
+ *   shown as "n/goal" while locked.
+ */
+
+/** @type {readonly Achievement[]} */
+export const ACHIEVEMENTS = Object.freeze([
+  { id: 'first10', check: (run) => run.score >= 10 },
+  { id: 'run50', check: (run) => run.score >= 50 },
+  { id: 'run100', check: (run) => run.score >= 100 },
+  { id: 'flaps100', check: (run, totals) => totals.flaps >= 100, progress: { total: 'flaps', goal: 100 } },
+  { id: 'flaps1000', check: (run, totals) => totals.flaps >= 1000, progress: { total: 'flaps', goal: 1000 } },
+  { id: 'nearMiss', check: (run) => run.nearMisses >= 1 },
+  { id: 'nearMiss5', check: (run) => run.nearMisses >= 5 },
+  { id: 'bestThree', check: (run, totals) => totals.bestsBeaten >= 3, progress: { total: 'bestsBeaten', goal: 3 } },
+  { id: 'shieldSave', check: (run) => run.shieldSaves >= 1 },
+  { id: 'allPowerUps', check: (run) => POWERUP_KINDS.every((kind) => run.powerUps.has(kind)) },
+  { id: 'seeds100', check: (run, totals) => totals.seeds >= 100, progress: { total: 'seeds', goal: 100 } },
+  { id: 'daily', check: (run) => run.daily && run.finished },
+]);
+
+/**
+ * @typedef {Object} AchievementProgress
+ * @property {Record<string, string>} unlocked - Achievement id → ISO date it was earned.
+ * @property {AchievementTotals} totals
+ */
+
+/** @returns {AchievementProgress} */
+export function emptyAchievementProgress() {
+  return { unlocked: {}, totals: { flaps: 0, seeds: 0, bestsBeaten: 0 } };
+}
+
+/**
+ * Tracks runs against the achievement list, updating `progress` in place.
+ * @param {AchievementProgress} progress
+ */
+export function createAchievementTracker(progress) {
+  /** @type {RunStats|null} Null between runs and for runs that don't count. */
+  let run = null;
+
+  /**
+   * Unlocks everything the current state satisfies.
+   * @returns {Achievement[]} Achievements earned just now.
+   */
+  function unlockEarned() {
+    const earned = [];
+    for (const achievement of ACHIEVEMENTS) {
+      if (progress.unlocked[achievement.id] || !achievement.check(run, progress.totals)) continue;
+      progress.unlocked[achievement.id] = new Date().toISOString();
+      earned.push(achievement);
+    }
+    return earned;
+  }
+
+  /**
+   * Begins tracking a run.
+   * @param {{daily:boolean}} options
+   */
+  function startRun({ daily }) {
+    run = { score: 0, nearMisses: 0, shieldSaves: 0, powerUps: new Set(), daily, finished: false };
+  }
+
+  /** Stops tracking the current run without finishing it (e.g. it stopped counting). */
+  function abandonRun() {
+    run = null;
+  }
+
+  /**
+   * Feeds the events of one simulation step.
+   * @param {import('./core.js').GameEvent[]} events
+   * @returns {Achievement[]} Achievements earned by these events.
+   */
+  function record(events) {
+    if (!run || !events.length) return [];
+    for (const event of events) {
+      if (event.type === 'flap') progress.totals.flaps += 1;
+      else if (event.type === 'collect') progress.totals.seeds += 1;
+      else if (event.type === 'shield') run.shieldSaves += 1;
+      else if (event.type === 'powerup') run.powerUps.add(event.kind);
+      else if (event.type === 'pass') {
+        run.score = event.score;
+        if (event.clearance <= NEAR_MISS_PX) run.nearMisses += 1;
+      }
+    }
+    return unlockEarned();
+  }
+
+  /**
+   * Ends the current run.
+   * @param {{beatBest:boolean}} result - Whether it beat an earlier best score.
+   * @returns {Achievement[]} Achievements earned by finishing it.
+   */
+  function finishRun({ beatBest }) {
+    if (!run) return [];
+    run.finished = true;
+    if (beatBest) progress.totals.bestsBeaten += 1;
+    const earned = unlockEarned();
+    run = null;
+    return earned;
+  }
+
+  return { startRun, abandonRun, record, finishRun };
+}
+
+/**
+ * Brings stored progress into shape; anything missing or corrupt starts from empty.
+ * @param {any} raw
+ * @returns {AchievementProgress}
+ */
+export function parseAchievementProgress(raw) {
+  const progress = emptyAchievementProgress();
+  if (!raw || typeof raw !== 'object') return progress;
+  if (raw.unlocked && typeof raw.unlocked === 'object') {
+    for (const { id } of ACHIEVEMENTS) {
+      if (typeof raw.unlocked[id] === 'string') progress.unlocked[id] = raw.unlocked[id];
+    }
+  }
+  if (raw.totals && typeof raw.totals === 'object') {
+    for (const key of Object.keys(progress.totals)) {
+      const value = raw.totals[key];
+      if (Number.isInteger(value) && value >= 0) progress.totals[key] = value;
+    }
+  }
+  return progress;
+}
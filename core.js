@@ -0,0 +1,1236 @@
+/**
+ * Flappy Strawberry — headless simulation core
+ *
+ * Game state, physics, pipes, scoring and collisions with no DOM access, so it runs
+ * unchanged in Node. The browser adapter (index.js) owns rendering, audio, input and
+ * storage, and drives a game created by `createGame` through `step(input, dt)`.
+ */
+
+import { THEME_PACKS, pickObstacleStyles } from './themes.js';
+
+// Logical resolution (game units). The canvas will be scaled via CSS.
+export const GAME_WIDTH = 360; // narrow, mobile-first
+export const GAME_HEIGHT = 640; // 9:16 aspect
+
+// The simulation advances in fixed steps so physics behave the same at any refresh rate.
+export const STEP_MS = 1000 / 120;
+
+// Bump whenever a change to the simulation would make old replays play back differently.
+export const SIM_VERSION = 7;
+
+/**
+ * Tunable simulation constants.
+ * Physics values are in pixels per second (px/s) and px/s^2.
+ */
+export const DEFAULT_CONFIG = Object.freeze({
+  gravity: 1800, // downward acceleration
+  flapImpulse: -420, // upward instant velocity when flapping
+  terminalVelDown: 600, // clamp downward speed
+  terminalVelUp: -700, // clamp upward speed
+  pipeGap: 160, // vertical gap between top and bottom (slightly easier)
+  pipeWidth: 56,
+  pipeSpacing: 240, // distance between pipes on x axis
+  pipeSpeed: 125, // scroll speed (px/s) ~25% faster
+  groundHeight: 72, // ground line for visual reference
+  minPipeGap: 104, // the difficulty curve and closing gaps never go below this
+  curveIntensity: 1, // how strongly DIFFICULTY_CURVE applies (0 = flat)
+  motionFromScore: 10, // moving obstacles appear from this score on
+  oscillateChance: 0.25, // share of pipes whose gap bobs up and down
+  oscillateAmplitude: 36, // px
+  oscillateSpeed: 1.6, // rad/s
+  closingChance: 0.15, // share of pipes whose gap narrows as it approaches
+  closingAmount: 36, // px the gap loses by the time it reaches the player
+  powerUpChance: 0.2, // share of pipes carrying a power-up in their gap
+  powerUpFromScore: 2, // no power-ups before this score
+  powerUpRadius: 12, // pickup radius (px)
+  shieldWeight: 1, // relative spawn weights per kind (0 disables a kind)
+  slowWeight: 1,
+  shrinkWeight: 1,
+  multiplierWeight: 1,
+  shieldDuration: 10, // s; the shield also breaks after absorbing one hit
+  slowDuration: 5, // s
+  slowFactor: 0.6, // world speed while slowed
+  shrinkDuration: 6, // s
+  shrinkScale: 0.65, // player radius while shrunk
+  multiplierDuration: 8, // s
+  multiplierValue: 2, // points per pipe while active
+  seedChance: 0.6, // share of pipes with a row of collectible seeds before them
+  seedCount: 3, // seeds per row
+  seedSpacing: 18, // px between seeds in a row
+  seedRadius: 6, // pickup radius (px)
+  forgivingHitbox: 0, // 1 = smaller body-only hitbox, 0 = body and leaves as drawn
+  gameSpeed: 1, // scales all simulated time; assisted mode slows the whole game down
+  timeLimit: 0, // s of run time before the run ends (0 = no limit)
+  zen: 0, // 1 = collisions cost points instead of ending the run
+  zenPenalty: 3, // points a zen collision costs
+  ceilingClamp: 1, // 1 = the top of the screen stops the player, 0 = it can fly above
+});
+
+/**
+ * Difficulty multipliers keyed on score, applied to the base gap, speed and spacing.
+ * Values between rows are interpolated; past the last row it stays flat.
+ */
+export const DIFFICULTY_CURVE = Object.freeze([
+  { score: 0, gap: 1, speed: 1, spacing: 1 },
+  { score: 10, gap: 0.94, speed: 1.08, spacing: 0.96 },
+  { score: 25, gap: 0.87, speed: 1.18, spacing: 0.9 },
+  { score: 50, gap: 0.8, speed: 1.3, spacing: 0.84 },
+  { score: 100, gap: 0.74, speed: 1.42, spacing: 0.8 },
+]);
+
+/** Config overrides for each selectable difficulty; anything not listed uses DEFAULT_CONFIG. */
+export const DIFFICULTY_PRESETS = Object.freeze({
+  easy: {
+    pipeGap: 180,
+    pipeSpeed: 110,
+    pipeSpacing: 260,
+    curveIntensity: 0.6,
+    motionFromScore: 20,
+    oscillateChance: 0.2,
+    closingChance: 0.1,
+    powerUpChance: 0.3,
+  },
+  normal: {},
+  hard: {
+    pipeGap: 148,
+    pipeSpeed: 140,
+    pipeSpacing: 228,
+    curveIntensity: 1.3,
+    motionFromScore: 5,
+    oscillateChance: 0.35,
+    closingChance: 0.25,
+    powerUpChance: 0.12,
+  },
+});
+
+/**
+ * Game modes, applied on top of a difficulty preset: `config` overrides keys, `gapScale`
+ * and `speedScale` scale the pipe gap and scroll speed.
+ * @type {Readonly<Record<string, {config:Partial<typeof DEFAULT_CONFIG>, gapScale?:number, speedScale?:number}>>}
+ */
+export const GAME_MODES = Object.freeze({
+  endless: { config: {} },
+  timeAttack: { config: { timeLimit: 60 } },
+  zen: { config: { zen: 1 } },
+  hardcore: { config: { ceilingClamp: 0 }, gapScale: 0.8, speedScale: 1.2 },
+});
+
+/**
+ * Applies a game mode to a full config.
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {keyof typeof GAME_MODES} id
+ * @returns {typeof DEFAULT_CONFIG}
+ */
+export function configForMode(config, id) {
+  const mode = GAME_MODES[id] || GAME_MODES.endless;
+  const result = { ...config, ...mode.config };
+  if (mode.gapScale) {
+    result.pipeGap = Math.round(result.pipeGap * mode.gapScale);
+    result.minPipeGap = Math.round(result.minPipeGap * mode.gapScale);
+  }
+  if (mode.speedScale) result.pipeSpeed = Math.round(result.pipeSpeed * mode.speedScale);
+  return result;
+}
+
+/**
+ * Full config for a difficulty preset.
+ * @param {keyof typeof DIFFICULTY_PRESETS} id
+ * @returns {typeof DEFAULT_CONFIG}
+ */
+export function configForDifficulty(id) {
+  return { ...DEFAULT_CONFIG, ...(DIFFICULTY_PRESETS[id] || {}) };
+}
+
+/**
+ * Gap, scroll speed and pipe spacing at a given score.
+ * @param {number} score
+ * @param {typeof DEFAULT_CONFIG} config
+ * @returns {{gap:number, speed:number, spacing:number}}
+ */
+export function difficultyAt(score, config) {
+  let lo = DIFFICULTY_CURVE[0];
+  let hi = DIFFICULTY_CURVE[DIFFICULTY_CURVE.length - 1];
+  for (let i = 0; i < DIFFICULTY_CURVE.length - 1; i++) {
+    if (score >= DIFFICULTY_CURVE[i].score && score < DIFFICULTY_CURVE[i + 1].score) {
+      lo = DIFFICULTY_CURVE[i];
+      hi = DIFFICULTY_CURVE[i + 1];
+      break;
+    }
+  }
+  const t = hi.score > lo.score ? Math.min(1, Math.max(0, (score - lo.score) / (hi.score - lo.score))) : 1;
+  const factor = (key) => 1 + ((lo[key] + (hi[key] - lo[key]) * t) - 1) * config.curveIntensity;
+  return {
+    gap: Math.max(config.minPipeGap, config.pipeGap * factor('gap')),
+    speed: config.pipeSpeed * factor('speed'),
+    spacing: config.pipeSpacing * factor('spacing'),
+  };
+}
+
+// Background parallax layers speeds (px/s)
+export const PARALLAX = Object.freeze({
+  stars: 10,
+  hills: 20,
+  clouds: 35,
+  bushes: 60,
+});
+
+// Seeded randomness
+// Seeds stay below 36^6 so their base-36 label round-trips through `?seed=`.
+export const SEED_SPACE = 36 ** 6;
+
+/**
+ * Creates a deterministic PRNG (mulberry32) so a seed always yields the same course.
+ * @param {number} seed
+ * @returns {() => number} Returns floats in [0, 1).
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 32-bit FNV-1a hash, used to turn arbitrary text into a seed.
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Converts user-facing seed text into a numeric seed.
+ * Short base-36 strings (as produced by `formatSeed`) map back exactly; anything else is hashed.
+ * @param {string} text
+ * @returns {number}
+ */
+export function parseSeed(text) {
+  const normalized = String(text).trim().toLowerCase();
+  if (/^[0-9a-z]{1,6}$/.test(normalized)) return parseInt(normalized, 36);
+  return hashString(normalized) % SEED_SPACE;
+}
+
+/**
+ * Formats a numeric seed as the short label shown to players.
+ * @param {number} seed
+ * @returns {string}
+ */
+export function formatSeed(seed) {
+  return seed.toString(36).toUpperCase();
+}
+
+/** @returns {number} A fresh seed for a regular run. */
+export function randomSeed() {
+  return Math.floor(Math.random() * SEED_SPACE);
+}
+
+/**
+ * Returns the UTC date key (YYYY-MM-DD) for the Daily Challenge, so everyone shares one course per day.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function dailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Derives the Daily Challenge seed from a date key.
+ * @param {string} key
+ * @returns {number}
+ */
+export function dailySeed(key) {
+  return hashString(`daily:${key}`) % SEED_SPACE;
+}
+
+// Hitbox
+// The strawberry collides as the polygons it is drawn with (heart-shaped body plus the four
+// crown leaves), in units of its radius, rotated with it. Every skin shares this hitbox, even
+// those drawn with spiky or single leaves: skins are cosmetic, and runs, replays and ghosts
+// don't record them, so the same flaps must collide the same way whatever is equipped.
+
+/**
+ * Samples a cubic bezier (excluding its end point) into polygon vertices.
+ * @param {number[][]} points - Start, two control points, end.
+ * @param {number} segments
+ * @returns {[number, number][]}
+ */
+function sampleCubic([p0, p1, p2, p3], segments) {
+  const out = [];
+  for (let i = 0; i < segments; i++) {
+    const t = i / segments;
+    const u = 1 - t;
+    const a = u * u * u;
+    const b = 3 * u * u * t;
+    const c = 3 * u * t * t;
+    const d = t * t * t;
+    out.push([a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0], a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]]);
+  }
+  return out;
+}
+
+// Same curves as the body path in the renderer
+const BODY_OUTLINE = [
+  ...sampleCubic([[0, -1], [1, -1.2], [1.2, -0.2], [0, 1]], 10),
+  ...sampleCubic([[0, 1], [-1.2, -0.2], [-1, -1.2], [0, -1]], 10),
+];
+
+// The crown's leaf triangles
+const LEAF_TRIANGLES = [0, 1, 2, 3].map((k) => {
+  const angle = (k * Math.PI) / 2;
+  const lx = Math.cos(angle) * 0.4;
+  const ly = -1 + Math.sin(angle) * 0.2 - 0.2;
+  return [
+    [lx, ly],
+    [lx + Math.cos(angle) * 0.45, ly + Math.sin(angle) * 0.45],
+    [lx + Math.cos(angle + 0.6) * 0.27, ly + Math.sin(angle + 0.6) * 0.27],
+  ];
+});
+
+/** Hitbox polygons in units of the radius: exact, and a forgiving body-only one. */
+export const HITBOX_SHAPES = Object.freeze({
+  precise: [BODY_OUTLINE, ...LEAF_TRIANGLES],
+  forgiving: [BODY_OUTLINE.map(([x, y]) => [x * 0.8, y * 0.8])],
+});
+
+/**
+ * The strawberry's hitbox polygons in world coordinates.
+ * @param {{x:number, y:number, radius:number, rotation:number}} strawberry
+ * @param {boolean} forgiving
+ * @returns {[number, number][][]}
+ */
+export function strawberryHitbox({ x, y, radius, rotation }, forgiving) {
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const shapes = forgiving ? HITBOX_SHAPES.forgiving : HITBOX_SHAPES.precise;
+  return shapes.map((poly) =>
+    poly.map(([u, v]) => [x + (u * cos - v * sin) * radius, y + (u * sin + v * cos) * radius])
+  );
+}
+
+/**
+ * Even-odd point in polygon test.
+ * @param {number} px
+ * @param {number} py
+ * @param {[number, number][]} poly
+ * @returns {boolean}
+ */
+function pointInPolygon(px, py, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if (yi > py !== yj > py && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Where segment a-b crosses segment c-d, if it does.
+ * @returns {[number, number]|null}
+ */
+function segmentIntersection([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+  const denom = (bx - ax) * (dy - cy) - (by - ay) * (dx - cx);
+  if (denom === 0) return null;
+  const t = ((cx - ax) * (dy - cy) - (cy - ay) * (dx - cx)) / denom;
+  const u = ((cx - ax) * (by - ay) - (cy - ay) * (bx - ax)) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? [ax + (bx - ax) * t, ay + (by - ay) * t] : null;
+}
+
+/**
+ * Polygon vs axis-aligned rectangle collision test.
+ * @param {[number, number][]} poly
+ * @param {number} rx
+ * @param {number} ry
+ * @param {number} rw
+ * @param {number} rh
+ * @returns {{x:number, y:number}|null} A point where they touch, or null when apart.
+ */
+export function polygonRectContact(poly, rx, ry, rw, rh) {
+  if (rw <= 0 || rh <= 0) return null;
+  for (const [px, py] of poly) {
+    if (px >= rx && px <= rx + rw && py >= ry && py <= ry + rh) return { x: px, y: py };
+  }
+  const corners = [[rx, ry], [rx + rw, ry], [rx + rw, ry + rh], [rx, ry + rh]];
+  for (const [cx, cy] of corners) {
+    if (pointInPolygon(cx, cy, poly)) return { x: cx, y: cy };
+  }
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    for (let k = 0; k < 4; k++) {
+      const hit = segmentIntersection(a, b, corners[k], corners[(k + 1) % 4]);
+      if (hit) return { x: hit[0], y: hit[1] };
+    }
+  }
+  return null;
+}
+
+/**
+ * @typedef {Object} Pipe
+ * @property {number} x
+ * @property {number} prevX
+ * @property {number} width
+ * @property {number} topHeight - Current height of the top segment.
+ * @property {number} gap - Current gap between the segments.
+ * @property {number} prevTopHeight
+ * @property {number} prevGap
+ * @property {number} baseTopHeight - Top height before any motion is applied.
+ * @property {number} baseGap - Gap before any closing is applied.
+ * @property {'static'|'oscillate'|'closing'} motion
+ * @property {number} phase - Oscillation phase (radians).
+ * @property {number} age - Seconds since spawn.
+ * @property {number} spawnX
+ * @property {boolean} passed
+ * @property {number[]} clearance - Per player, the closest their hitbox came to either
+ *   segment while flying through (px).
+ * @property {boolean} shattered - Broken by a shield; no longer collides.
+ * @property {PowerUpKind|null} powerUp - Uncollected power-up waiting in the gap.
+ * @property {string} styleTop - Obstacle style id (see themes.js).
+ * @property {string} styleBottom
+ */
+
+/**
+ * Creates a new pipe pair at the provided world x position.
+ * @param {number} x
+ * @param {() => number} rng - Course randomness.
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {number} score - Score when spawned; drives the difficulty curve.
+ * @param {{top:string, bottom:string}} [styles] - Obstacle style ids from the theme pack.
+ * @returns {Pipe}
+ */
+export function generatePipeAtX(x, rng, config, score, styles = { top: 'copilot', bottom: 'sonnet' }) {
+  const gap = difficultyAt(score, config).gap;
+  let motion = 'static';
+  if (score >= config.motionFromScore) {
+    const roll = rng();
+    if (roll < config.oscillateChance) motion = 'oscillate';
+    else if (roll < config.oscillateChance + config.closingChance) motion = 'closing';
+  }
+  // Random top segment height, keeping reasonable margins (plus room for the motion)
+  const margin = 40 + (motion === 'oscillate' ? config.oscillateAmplitude : 0);
+  const topHeight = Math.floor(
+    margin + rng() * Math.max(0, GAME_HEIGHT - config.groundHeight - gap - margin * 2)
+  );
+  const phase = motion === 'oscillate' ? rng() * Math.PI * 2 : 0;
+  return createPipe(x, config.pipeWidth, topHeight, gap, motion, phase, styles);
+}
+
+/**
+ * Creates the pipe pair for one obstacle of a hand-made course.
+ * @param {import('./course.js').CourseObstacle} obstacle
+ * @param {number} x - Screen x to place it at.
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {{top:string, bottom:string}} styles - Theme pack styles, for obstacles without their own.
+ * @returns {Pipe}
+ */
+export function pipeFromObstacle(obstacle, x, config, styles) {
+  const own = obstacle.style && { top: obstacle.style, bottom: obstacle.style };
+  const pipe = createPipe(x, config.pipeWidth, obstacle.gapY - obstacle.gap / 2, obstacle.gap, obstacle.motion, 0, own || styles);
+  pipe.powerUp = obstacle.powerUp;
+  return pipe;
+}
+
+/**
+ * @param {number} x
+ * @param {number} width
+ * @param {number} topHeight
+ * @param {number} gap
+ * @param {Pipe['motion']} motion
+ * @param {number} phase
+ * @param {{top:string, bottom:string}} styles
+ * @returns {Pipe}
+ */
+function createPipe(x, width, topHeight, gap, motion, phase, styles) {
+  return {
+    x,
+    prevX: x,
+    width,
+    topHeight,
+    gap,
+    prevTopHeight: topHeight,
+    prevGap: gap,
+    baseTopHeight: topHeight,
+    baseGap: gap,
+    motion,
+    phase,
+    age: 0,
+    spawnX: x,
+    passed: false, // for scoring
+    clearance: [],
+    shattered: false,
+    powerUp: null,
+    styleTop: styles.top,
+    styleBottom: styles.bottom,
+  };
+}
+
+// Power-ups
+/** @typedef {'shield'|'slow'|'shrink'|'multiplier'} PowerUpKind */
+
+/** Power-up kinds in spawn-roll order. */
+export const POWERUP_KINDS = Object.freeze(['shield', 'slow', 'shrink', 'multiplier']);
+
+/**
+ * Rolls whether a freshly spawned pipe carries a power-up, and which one.
+ * Uses its own RNG stream so power-ups never shift the pipe layout of a seed.
+ * @param {() => number} rng - Power-up randomness.
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {number} score - Score when the pipe spawned.
+ * @returns {PowerUpKind|null}
+ */
+export function rollPowerUp(rng, config, score) {
+  // Always draw both numbers so the stream stays aligned with the pipe count
+  const chance = rng();
+  const pick = rng();
+  if (score < config.powerUpFromScore || chance >= config.powerUpChance) return null;
+  const weights = POWERUP_KINDS.map((kind) => Math.max(0, config[`${kind}Weight`]));
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (total <= 0) return null;
+  let roll = pick * total;
+  for (let i = 0; i < POWERUP_KINDS.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return POWERUP_KINDS[i];
+  }
+  return POWERUP_KINDS[POWERUP_KINDS.length - 1];
+}
+
+/**
+ * Where a pipe's power-up floats: centered in its (possibly moving) gap.
+ * @param {Pipe} pipe
+ * @returns {{x:number, y:number}}
+ */
+export function powerUpPosition(pipe) {
+  return { x: pipe.x + pipe.width / 2, y: pipe.topHeight + pipe.gap / 2 };
+}
+
+// Collectible seeds (the currency spent on skins)
+/**
+ * @typedef {Object} Pickup
+ * @property {number} x
+ * @property {number} prevX
+ * @property {number} y
+ */
+
+/**
+ * Rolls a row of seeds halfway between a freshly spawned pipe and the one before it,
+ * lined up with the new pipe's gap. Uses its own RNG stream like power-ups.
+ * @param {Pipe} pipe
+ * @param {number} spacing - Distance to the previous pipe.
+ * @param {() => number} rng - Pickup randomness.
+ * @param {typeof DEFAULT_CONFIG} config
+ * @returns {Pickup[]}
+ */
+export function generateSeedRow(pipe, spacing, rng, config) {
+  const chance = rng();
+  const jitter = (rng() - 0.5) * pipe.baseGap * 0.5;
+  if (chance >= config.seedChance) return [];
+  const count = Math.max(0, Math.floor(config.seedCount));
+  const firstX = pipe.x - spacing / 2 - ((count - 1) * config.seedSpacing) / 2;
+  const y = pipe.baseTopHeight + pipe.baseGap / 2 + jitter;
+  return Array.from({ length: count }, (_, i) => {
+    const x = firstX + i * config.seedSpacing;
+    return { x, prevX: x, y };
+  });
+}
+
+/**
+ * Applies a pipe's vertical motion for its current age/position.
+ * @param {Pipe} pipe
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {number} playerX - Closing gaps reach their narrowest here.
+ */
+function applyPipeMotion(pipe, config, playerX) {
+  if (pipe.motion === 'oscillate') {
+    pipe.topHeight = pipe.baseTopHeight + Math.sin(pipe.phase + pipe.age * config.oscillateSpeed) * config.oscillateAmplitude;
+  } else if (pipe.motion === 'closing') {
+    const travel = Math.max(1, pipe.spawnX - playerX);
+    const progress = Math.min(1, Math.max(0, (pipe.spawnX - pipe.x) / travel));
+    const closeBy = Math.min(config.closingAmount, Math.max(0, pipe.baseGap - config.minPipeGap)) * progress;
+    // Close symmetrically around the gap center
+    pipe.gap = pipe.baseGap - closeBy;
+    pipe.topHeight = pipe.baseTopHeight + closeBy / 2;
+  }
+}
+
+/**
+ * @typedef {Object} StepInput
+ * @property {boolean} [flap] - Flap on this step.
+ * @property {boolean[]} [flaps] - Per-player flaps in versus mode; overrides `flap`.
+ */
+
+/**
+ * Events carry the index of the player they happened to; `best` is about the whole run.
+ * A pass's `clearance` is how close the player came to the pipe (see `Pipe.clearance`).
+ * @typedef {{type:'flap',player:number}|{type:'pass',score:number,player:number,clearance:number}|{type:'best',best:number}
+ *   |{type:'die',player:number}|{type:'powerup',kind:PowerUpKind,player:number}|{type:'shield',player:number}
+ *   |{type:'expire',kind:PowerUpKind,player:number}|{type:'collect',total:number,player:number}
+ *   |{type:'finish',timeMs:number}|{type:'hit',player:number,score:number}|{type:'timeUp'}|{type:'retire'}} GameEvent
+ */
+
+// Player radius without the shrink power-up
+const PLAYER_RADIUS = 18;
+// Horizontal position every player flies at, so pipes are passed at the same moment
+export const PLAYER_X = 80;
+// Vertical distance between players at the start of a versus run
+const PLAYER_SPREAD = 80;
+
+/**
+ * @typedef {Object} Strawberry
+ * @property {number} x
+ * @property {number} y
+ * @property {number} radius
+ * @property {number} vy
+ * @property {number} rotation
+ * @property {number} prevX - Values at the previous simulation step, for render interpolation.
+ * @property {number} prevY
+ * @property {number} prevRotation
+ */
+
+/**
+ * One strawberry on the course with its own score, power-ups and crash.
+ * @typedef {Object} Player
+ * @property {Strawberry} strawberry
+ * @property {number} score
+ * @property {boolean} out - Crashed; the run goes on while another player is still flying.
+ * @property {number} outTick - Step on which the player crashed.
+ * @property {Record<PowerUpKind, number>} powerUps - Seconds left on each power-up (0 = inactive).
+ * @property {number} seedsCollected
+ * @property {{x:number, y:number}|null} contact - Where the player crashed.
+ */
+
+/**
+ * Decides a finished versus run: the higher score wins, then whoever stayed up longer.
+ * @param {Player[]} players
+ * @returns {number} Index of the winner, or -1 for a draw.
+ */
+export function versusWinner(players) {
+  const ranked = players
+    .map((player, index) => ({ player, index }))
+    .sort((a, b) => b.player.score - a.player.score || b.player.outTick - a.player.outTick);
+  const [first, second] = ranked;
+  if (second && first.player.score === second.player.score && first.player.outTick === second.player.outTick) return -1;
+  return first.index;
+}
+
+/** @returns {Player} A player waiting at the start position. */
+function createPlayer() {
+  return {
+    strawberry: {
+      x: PLAYER_X,
+      y: GAME_HEIGHT / 2,
+      radius: PLAYER_RADIUS,
+      vy: 0,
+      rotation: 0,
+      prevX: PLAYER_X,
+      prevY: GAME_HEIGHT / 2,
+      prevRotation: 0,
+    },
+    score: 0,
+    out: false,
+    outTick: 0,
+    powerUps: { shield: 0, slow: 0, shrink: 0, multiplier: 0 },
+    seedsCollected: 0,
+    contact: null,
+  };
+}
+
+/**
+ * Creates an independent game simulation. `game.config` may be reassigned field by field
+ * between runs (e.g. from `configForDifficulty`).
+ * @param {{best?:number, config?:Partial<typeof DEFAULT_CONFIG>, theme?:import('./themes.js').ThemePack}} [options]
+ */
+export function createGame({ best = 0, config = {}, theme = THEME_PACKS[0] } = {}) {
+  const cfg = { ...DEFAULT_CONFIG, ...config };
+  // Cosmetic only: decides obstacle styles, never the course
+  let pack = theme;
+
+  const state = {
+    started: false,
+    /** Every player has crashed. */
+    gameOver: false,
+    /** Highest score among the players; drives the difficulty curve. */
+    score: 0,
+    best,
+    /** Whether this run has surpassed the stored best at least once. */
+    newBestAchieved: false,
+    /** Seed of the current (or last) run. */
+    seed: 0,
+    /** UTC date key when the current run is a Daily Challenge, otherwise null. */
+    dailyKey: null,
+    /** Simulation steps taken in the current run. */
+    tick: 0,
+    /** @type {Record<PowerUpKind, number>} Player 1's power-up timers. */
+    powerUps: null,
+    /** Collectible seeds picked up in the current run, by all players. */
+    seedsCollected: 0,
+    /** @type {{x:number, y:number}|null} Where the last crash happened, for debugging. */
+    contact: null,
+    /** Developer cheat: collisions never end the run. Left alone by start/reset. */
+    invincible: false,
+    /** Course runs: the finish line was reached. */
+    finished: false,
+    /** Course runs: milliseconds it took to reach the finish line. */
+    finishMs: 0,
+    /** Timed runs: the time limit ran out. */
+    timeUp: false,
+  };
+
+  /** @type {Player[]} Player 1 is always first; versus mode adds more. */
+  const players = [createPlayer()];
+  // Player 1's strawberry, which single-player code and replays work with
+  const strawberry = players[0].strawberry;
+  state.powerUps = players[0].powerUps;
+
+  /** @type {Pipe[]} */
+  const pipes = [];
+  /** @type {Pickup[]} Collectible seeds still on the course. */
+  const pickups = [];
+  const bgOffset = { stars: 0, hills: 0, clouds: 0, bushes: 0 };
+  const bgOffsetPrev = { ...bgOffset };
+  /** Screen position of the course's finish line. */
+  const finishLine = { x: 0, prevX: 0 };
+
+  /** @type {import('./course.js').Course|null} Hand-made course played instead of random pipes. */
+  let course = null;
+  // Course runs: world distance scrolled so far and the next obstacle to spawn
+  let distance = 0;
+  let nextObstacle = 0;
+
+  // Course randomness; re-seeded at the start of every run
+  let rng = createRng(0);
+  // Power-up randomness, a separate stream derived from the same seed
+  let powerRng = createRng(0);
+  // Collectible seed randomness, likewise separate
+  let pickupRng = createRng(0);
+  // Obstacle style randomness, so theme packs never change the course
+  let themeRng = createRng(0);
+  let pipesSpawned = 0;
+  /** @type {GameEvent[]} */
+  let events = [];
+
+  /** Remembers the current positions so renderers can interpolate toward the next step. */
+  function savePreviousPositions() {
+    for (const { strawberry: s } of players) {
+      s.prevX = s.x;
+      s.prevY = s.y;
+      s.prevRotation = s.rotation;
+    }
+    for (const pipe of pipes) {
+      pipe.prevX = pipe.x;
+      pipe.prevTopHeight = pipe.topHeight;
+      pipe.prevGap = pipe.gap;
+    }
+    for (const pickup of pickups) pickup.prevX = pickup.x;
+    finishLine.prevX = finishLine.x;
+    Object.assign(bgOffsetPrev, bgOffset);
+  }
+
+  /**
+   * Creates the next pipe, rolls its power-up and lays out the seeds leading up to it.
+   * @param {number} x
+   * @param {number} spacing - Distance to the previous pipe.
+   * @returns {Pipe}
+   */
+  function spawnPipe(x, spacing) {
+    const styles = pickObstacleStyles(pack, pipesSpawned++, themeRng);
+    const pipe = generatePipeAtX(x, rng, cfg, state.score, styles);
+    pipe.powerUp = rollPowerUp(powerRng, cfg, state.score);
+    pickups.push(...generateSeedRow(pipe, spacing, pickupRng, cfg));
+    return pipe;
+  }
+
+  /** Spawns the course obstacles that have scrolled up to the right edge of the screen. */
+  function spawnCourseObstacles() {
+    const { obstacles } = course;
+    while (nextObstacle < obstacles.length && obstacles[nextObstacle].x - distance <= GAME_WIDTH) {
+      const obstacle = obstacles[nextObstacle++];
+      const styles = pickObstacleStyles(pack, pipesSpawned++, themeRng);
+      pipes.push(pipeFromObstacle(obstacle, obstacle.x - distance, cfg, styles));
+    }
+  }
+
+  /**
+   * Puts a player back at the start; several players are spread out vertically.
+   * @param {Player} player
+   * @param {number} index
+   */
+  function resetPlayer(player, index) {
+    const s = player.strawberry;
+    player.score = 0;
+    player.out = false;
+    player.outTick = 0;
+    player.seedsCollected = 0;
+    player.contact = null;
+    s.x = PLAYER_X;
+    s.y = GAME_HEIGHT / 2 + (index - (players.length - 1) / 2) * PLAYER_SPREAD;
+    s.vy = 0;
+    s.rotation = 0;
+    clearPowerUps(player);
+  }
+
+  /**
+   * Clears every power-up and restores the player's size.
+   * @param {Player} player
+   */
+  function clearPowerUps(player) {
+    for (const kind of POWERUP_KINDS) player.powerUps[kind] = 0;
+    player.strawberry.radius = PLAYER_RADIUS;
+  }
+
+  /**
+   * Starts (or refreshes) a power-up.
+   * @param {number} index - Player index.
+   * @param {PowerUpKind} kind
+   */
+  function activatePowerUp(index, kind) {
+    const player = players[index];
+    player.powerUps[kind] = cfg[`${kind}Duration`];
+    if (kind === 'shrink') player.strawberry.radius = PLAYER_RADIUS * cfg.shrinkScale;
+    events.push({ type: 'powerup', kind, player: index });
+  }
+
+  /**
+   * Counts power-up timers down and ends the expired ones.
+   * @param {number} index - Player index.
+   * @param {number} dtS
+   */
+  function tickPowerUps(index, dtS) {
+    const { powerUps, strawberry: s } = players[index];
+    for (const kind of POWERUP_KINDS) {
+      if (powerUps[kind] <= 0) continue;
+      powerUps[kind] = Math.max(0, powerUps[kind] - dtS);
+      if (powerUps[kind] > 0) continue;
+      if (kind === 'shrink') s.radius = PLAYER_RADIUS;
+      events.push({ type: 'expire', kind, player: index });
+    }
+  }
+
+  /**
+   * Uses up an active shield instead of crashing.
+   * @param {number} index - Player index.
+   * @returns {boolean} Whether a shield absorbed the hit.
+   */
+  function absorbHit(index) {
+    const { powerUps } = players[index];
+    if (powerUps.shield <= 0) return false;
+    powerUps.shield = 0;
+    events.push({ type: 'shield', player: index });
+    return true;
+  }
+
+  /**
+   * Resets state to begin a new game run and seeds initial pipes.
+   * @param {number} seed
+   * @param {string|null} [daily] - Daily Challenge date key, if any.
+   */
+  function start(seed, daily = null) {
+    state.seed = seed;
+    state.dailyKey = daily;
+    rng = createRng(seed);
+    powerRng = createRng(hashString(`power:${seed}`));
+    pickupRng = createRng(hashString(`seeds:${seed}`));
+    themeRng = createRng(hashString(`theme:${seed}`));
+    pipesSpawned = 0;
+    state.started = true;
+    state.gameOver = false;
+    state.score = 0;
+    state.tick = 0;
+    state.seedsCollected = 0;
+    state.contact = null;
+    state.finished = false;
+    state.finishMs = 0;
+    state.timeUp = false;
+    players.forEach(resetPlayer);
+    pipes.length = 0;
+    pickups.length = 0;
+    distance = 0;
+    nextObstacle = 0;
+    if (course) {
+      finishLine.x = course.finish;
+      spawnCourseObstacles();
+    } else {
+      // Seed initial pipes to the right
+      const spacing = difficultyAt(0, cfg).spacing;
+      let x = GAME_WIDTH + 120;
+      for (let i = 0; i < 4; i++) {
+        pipes.push(spawnPipe(x, i === 0 ? 120 : spacing));
+        x += spacing;
+      }
+    }
+    savePreviousPositions();
+  }
+
+  /** Resets state to the idle pre-start screen. */
+  function reset() {
+    state.started = false;
+    state.gameOver = false;
+    state.score = 0;
+    state.tick = 0;
+    state.seedsCollected = 0;
+    state.contact = null;
+    state.newBestAchieved = false;
+    state.finished = false;
+    state.finishMs = 0;
+    state.timeUp = false;
+    players.forEach(resetPlayer);
+    pipes.length = 0;
+    pickups.length = 0;
+    savePreviousPositions();
+  }
+
+  /**
+   * Sets how many players share the course (2 for versus mode) and returns to the idle
+   * screen. Player 1 and `strawberry` keep their identity.
+   * @param {number} count
+   */
+  function setPlayerCount(count) {
+    players.length = 1;
+    while (players.length < Math.max(1, count)) players.push(createPlayer());
+    reset();
+  }
+
+  /**
+   * Plays a hand-made course instead of random pipes from the next run on (null goes back
+   * to random ones) and returns to the idle screen.
+   * @param {import('./course.js').Course|null} next - Obstacles must be sorted by x.
+   */
+  function setCourse(next) {
+    course = next;
+    reset();
+  }
+
+  /** Ends a course run at the finish line; whoever is still flying made it. */
+  function finishCourse() {
+    state.gameOver = true;
+    state.finished = true;
+    state.finishMs = state.tick * STEP_MS;
+    // Reaching the finish counts as staying up the longest
+    for (const player of players) if (!player.out) player.outTick = state.tick;
+    events.push({ type: 'finish', timeMs: state.finishMs });
+  }
+
+  /** Ends a timed run once the limit runs out; whoever is still flying lasted. */
+  function endTimedRun() {
+    state.gameOver = true;
+    state.timeUp = true;
+    for (const player of players) if (!player.out) player.outTick = state.tick;
+    events.push({ type: 'timeUp' });
+  }
+
+  /**
+   * Ends the run where it stands, for zen runs that nobody crashes out of. A zen score can
+   * still drop, so this is where it is compared with the best.
+   * @returns {GameEvent[]}
+   */
+  function retire() {
+    events = [];
+    if (!state.started || state.gameOver) return events;
+    if (cfg.zen > 0) updateBest();
+    state.gameOver = true;
+    for (const player of players) if (!player.out) player.outTick = state.tick;
+    events.push({ type: 'retire' });
+    return events;
+  }
+
+  /**
+   * Zen mode: a collision costs points instead of the run.
+   * @param {number} index - Player index.
+   */
+  function penalize(index) {
+    const player = players[index];
+    player.score = Math.max(0, player.score - cfg.zenPenalty);
+    state.score = Math.max(...players.map((p) => p.score));
+    events.push({ type: 'hit', player: index, score: player.score });
+  }
+
+  /**
+   * Knocks a player out; the run is over once nobody is left flying.
+   * @param {number} index - Player index.
+   * @param {{x:number, y:number}} contact - Where the collision happened.
+   */
+  function die(index, contact) {
+    const player = players[index];
+    if (player.out) return;
+    player.out = true;
+    player.outTick = state.tick;
+    player.contact = contact;
+    state.contact = contact;
+    events.push({ type: 'die', player: index });
+    if (players.every((p) => p.out)) state.gameOver = true;
+  }
+
+  /**
+   * Flaps, falls and rotates one player, then resolves the ground and ceiling.
+   * @param {number} index - Player index.
+   * @param {boolean} flap
+   * @param {number} dtS - Step length in seconds.
+   */
+  function movePlayer(index, flap, dtS) {
+    const s = players[index].strawberry;
+    if (flap) {
+      s.vy = cfg.flapImpulse;
+      events.push({ type: 'flap', player: index });
+    }
+
+    // Apply gravity and integrate with clamped velocities
+    s.vy += cfg.gravity * dtS;
+    if (s.vy > cfg.terminalVelDown) s.vy = cfg.terminalVelDown;
+    if (s.vy < cfg.terminalVelUp) s.vy = cfg.terminalVelUp;
+    s.y += s.vy * dtS;
+
+    // Smooth rotation toward a target based on velocity
+    const targetRot = Math.min(0.45, Math.max(-0.6, s.vy / 600));
+    const rotLerp = Math.min(1, dtS * 10); // responsive but smooth
+    s.rotation += (targetRot - s.rotation) * rotLerp;
+
+    tickPowerUps(index, dtS);
+
+    // Ground and ceiling collision; a shield bounces the player back up instead and an
+    // invincible player just lands
+    const groundY = GAME_HEIGHT - cfg.groundHeight;
+    let lowest = null;
+    for (const poly of strawberryHitbox(s, cfg.forgivingHitbox > 0)) {
+      for (const [px, py] of poly) if (!lowest || py > lowest.y) lowest = { x: px, y: py };
+    }
+    if (lowest.y > groundY) {
+      s.y -= lowest.y - groundY;
+      if (state.invincible) s.vy = Math.min(0, s.vy);
+      else if (absorbHit(index)) s.vy = cfg.flapImpulse;
+      else if (cfg.zen > 0) {
+        penalize(index);
+        s.vy = cfg.flapImpulse;
+      } else die(index, { x: lowest.x, y: groundY });
+    }
+    if (cfg.ceilingClamp > 0 && s.y - s.radius < 0) {
+      s.y = s.radius;
+      s.vy = 0; // prevent clipping
+    }
+  }
+
+  /**
+   * A crashed player drops to the ground and drifts off with the course while the others
+   * fly on.
+   * @param {Strawberry} s
+   * @param {number} dtS - Player time step in seconds.
+   * @param {number} driftX - How far the course moved this step.
+   */
+  function moveOutPlayer(s, dtS, driftX) {
+    const floor = GAME_HEIGHT - cfg.groundHeight - s.radius;
+    s.x -= driftX;
+    if (s.y >= floor) return;
+    s.vy = Math.min(cfg.terminalVelDown, s.vy + cfg.gravity * dtS);
+    s.y = Math.min(floor, s.y + s.vy * dtS);
+    s.rotation = Math.min(Math.PI / 2, s.rotation + dtS * 6);
+  }
+
+  /**
+   * Awards a passed pipe to a player.
+   * @param {number} index - Player index.
+   * @param {Pipe} pipe
+   */
+  function scorePass(index, pipe) {
+    const player = players[index];
+    player.score += player.powerUps.multiplier > 0 ? cfg.multiplierValue : 1;
+    const clearance = pipe.clearance[index] === undefined ? Infinity : pipe.clearance[index];
+    events.push({ type: 'pass', score: player.score, player: index, clearance });
+    if (player.score <= state.score) return;
+    state.score = player.score;
+    // Zen scores can still drop, so they are only compared when the run ends
+    if (cfg.zen <= 0) updateBest();
+  }
+
+  /** Raises the best score to the current one when it is higher. */
+  function updateBest() {
+    if (state.score <= state.best) return;
+    state.newBestAchieved = true;
+    state.best = state.score;
+    events.push({ type: 'best', best: state.best });
+  }
+
+  /**
+   * Advances the simulation by one fixed step of dt milliseconds.
+   * Handles physics, spawning, scoring and collision detection.
+   * @param {StepInput} input
+   * @param {number} dt - Step length in ms (normally `STEP_MS`).
+   * @returns {GameEvent[]} What happened during this step, for audio and persistence.
+   */
+  function step(input, dt) {
+    events = [];
+    savePreviousPositions();
+    if (!state.started || state.gameOver) return events;
+
+    // dt in seconds for framerate-independent movement
+    const dtS = (dt / 1000) * cfg.gameSpeed;
+
+    const flaps = input.flaps || [input.flap];
+    const flying = [];
+    players.forEach((player, i) => {
+      if (player.out) return;
+      movePlayer(i, Boolean(flaps[i]), dtS);
+      flying.push(i);
+    });
+
+    // Move pipes at the speed the difficulty curve dictates for the leading score
+    // (the slow-time power-up slows the world, not the players). Courses keep the base
+    // speed so they play as they were laid out.
+    const difficulty = difficultyAt(course ? 0 : state.score, cfg);
+    const slowed = flying.some((i) => players[i].powerUps.slow > 0);
+    const worldDtS = slowed ? dtS * cfg.slowFactor : dtS;
+    for (const pipe of pipes) {
+      pipe.x -= difficulty.speed * worldDtS;
+      pipe.age += worldDtS;
+      applyPipeMotion(pipe, cfg, PLAYER_X);
+    }
+    for (const pickup of pickups) pickup.x -= difficulty.speed * worldDtS;
+    finishLine.x -= difficulty.speed * worldDtS;
+    for (const player of players) {
+      if (player.out) moveOutPlayer(player.strawberry, dtS, difficulty.speed * worldDtS);
+    }
+
+    // Parallax offsets
+    // Advance offsets continuously; wrap only when drawing to avoid visible jumps
+    bgOffset.stars += PARALLAX.stars * worldDtS;
+    bgOffset.hills += PARALLAX.hills * worldDtS;
+    bgOffset.clouds += PARALLAX.clouds * worldDtS;
+    bgOffset.bushes += PARALLAX.bushes * worldDtS;
+
+    // Spawn new pipes and remove offscreen
+    const first = pipes[0];
+    if (first && first.x + cfg.pipeWidth < -10) {
+      pipes.shift();
+    }
+    const last = pipes[pipes.length - 1];
+    if (course) {
+      distance += difficulty.speed * worldDtS;
+      spawnCourseObstacles();
+    } else if (last && last.x < GAME_WIDTH - difficulty.spacing) {
+      pipes.push(spawnPipe(last.x + difficulty.spacing, difficulty.spacing));
+    }
+    while (pickups.length && pickups[0].x < -10) pickups.shift();
+
+    // Collect seeds; when players overlap the first one listed gets it
+    for (const index of flying) {
+      const player = players[index];
+      const s = player.strawberry;
+      const seedReach = s.radius + cfg.seedRadius;
+      for (let i = pickups.length - 1; i >= 0; i--) {
+        const dx = s.x - pickups[i].x;
+        const dy = s.y - pickups[i].y;
+        if (dx * dx + dy * dy <= seedReach * seedReach) {
+          pickups.splice(i, 1);
+          player.seedsCollected += 1;
+          state.seedsCollected += 1;
+          events.push({ type: 'collect', total: player.seedsCollected, player: index });
+        }
+      }
+    }
+
+    // Pickups, scoring and collisions
+    const hitboxes = players.map((p) => strawberryHitbox(p.strawberry, cfg.forgivingHitbox > 0));
+    // Without the ceiling, top segments reach up off screen so nobody flies over them
+    const ceilingY = cfg.ceilingClamp > 0 ? 0 : -1e6;
+    for (const pipe of pipes) {
+      for (const index of flying) {
+        if (!pipe.powerUp || players[index].out) continue;
+        const s = players[index].strawberry;
+        const pos = powerUpPosition(pipe);
+        const reach = s.radius + cfg.powerUpRadius;
+        const dx = s.x - pos.x;
+        const dy = s.y - pos.y;
+        if (dx * dx + dy * dy <= reach * reach) {
+          activatePowerUp(index, pipe.powerUp);
+          pipe.powerUp = null;
+        }
+      }
+
+      // Score when passing pipe center; everyone flies at the same x
+      if (!pipe.passed && PLAYER_X > pipe.x + pipe.width) {
+        pipe.passed = true;
+        for (const index of flying) if (!players[index].out) scorePass(index, pipe);
+      }
+
+      // Collision: hitbox polygons vs axis-aligned rectangles (top and bottom segments).
+      // A shield or a zen collision shatters the pipe it hits so the player can fly
+      // through it.
+      for (const index of flying) {
+        const s = players[index].strawberry;
+        const reachX = s.radius * 1.9; // no hitbox vertex is farther out than this
+        if (players[index].out || pipe.shattered || pipe.x > s.x + reachX || pipe.x + pipe.width < s.x - reachX) continue;
+        const bottomY = pipe.topHeight + pipe.gap;
+        const bottomHeight = GAME_HEIGHT - cfg.groundHeight - bottomY;
+        let contact = null;
+        for (const poly of hitboxes[index]) {
+          contact =
+            polygonRectContact(poly, pipe.x, ceilingY, pipe.width, pipe.topHeight - ceilingY) ||
+            polygonRectContact(poly, pipe.x, bottomY, pipe.width, bottomHeight);
+          if (contact) break;
+        }
+        if (contact && !state.invincible) {
+          if (absorbHit(index)) pipe.shattered = true;
+          else if (cfg.zen > 0) {
+            penalize(index);
+            pipe.shattered = true;
+          } else die(index, contact);
+          continue;
+        }
+        // Closest the hitbox has come to either segment while inside the pipe
+        let nearest = Infinity;
+        for (const poly of hitboxes[index]) {
+          for (const [px, py] of poly) {
+            if (px >= pipe.x && px <= pipe.x + pipe.width) nearest = Math.min(nearest, py - pipe.topHeight, bottomY - py);
+          }
+        }
+        const previous = pipe.clearance[index];
+        pipe.clearance[index] = previous === undefined ? nearest : Math.min(previous, nearest);
+      }
+    }
+    state.tick += 1;
+    if (course && !state.gameOver && finishLine.x <= PLAYER_X) finishCourse();
+    if (cfg.timeLimit > 0 && !state.gameOver && state.tick * STEP_MS >= cfg.timeLimit * 1000) endTimedRun();
+    return events;
+  }
+
+  /**
+   * Switches the theme pack; pipes already on screen keep their styles.
+   * @param {import('./themes.js').ThemePack} next
+   */
+  function setTheme(next) {
+    pack = next;
+  }
+
+  return {
+    config: cfg,
+    state,
+    strawberry,
+    players,
+    pipes,
+    pickups,
+    bgOffset,
+    bgOffsetPrev,
+    finishLine,
+    start,
+    reset,
+    step,
+    setTheme,
+    setPlayerCount,
+    setCourse,
+    retire,
+    /** @returns {import('./themes.js').ThemePack} */
+    get theme() {
+      return pack;
+    },
+    /** @returns {import('./course.js').Course|null} */
+    get course() {
+      return course;
+    },
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Flappy Strawberry — hand-made courses
+ *
+ * A course is a list of obstacles at fixed positions followed by a finish line, stored as
+ * JSON. core.js plays one instead of rolling random pipes; the adapter's editor lays them
+ * out and test-plays them. No DOM access here.
+ */
+
+import { DEFAULT_CONFIG, GAME_HEIGHT, GAME_WIDTH, POWERUP_KINDS } from './core.js';
+import { OBSTACLE_STYLES } from './themes.js';
+
+/** Bump when the course layout changes and extend `parseCourse` accordingly. */
+export const COURSE_VERSION = 1;
+
+/** Obstacle movements, as in core.js. */
+export const OBSTACLE_MOTIONS = Object.freeze(['static', 'oscillate', 'closing']);
+
+// The first obstacle leaves the player this much room to get going (world x)
+export const MIN_OBSTACLE_X = 200;
+export const MIN_GAP = 80;
+export const MAX_GAP = 320;
+// Room kept above and below a gap so both segments stay visible (px)
+const GAP_MARGIN = 24;
+// The finish line stays at least this far past the last obstacle (px)
+const FINISH_RUNOUT = 120;
+export const MAX_OBSTACLES = 500;
+const MAX_NAME_LENGTH = 24;
+
+/**
+ * @typedef {Object} CourseObstacle
+ * @property {number} x - World x of the left edge; the player starts at world x 80 and
+ *   the screen initially shows 0..GAME_WIDTH.
+ * @property {number} gapY - Center of the gap (px from the top).
+ * @property {number} gap - Gap height (px).
+ * @property {'static'|'oscillate'|'closing'} motion
+ * @property {string|null} style - `OBSTACLE_STYLES` key for both segments, or null for the
+ *   theme pack's choice.
+ * @property {import('./core.js').PowerUpKind|null} powerUp - Power-up waiting in the gap.
+ */
+
+/**
+ * @typedef {Object} Course
+ * @property {number} v - `COURSE_VERSION` it was saved with.
+ * @property {string} name
+ * @property {number} finish - World x of the finish line.
+ * @property {CourseObstacle[]} obstacles - Sorted by x.
+ */
+
+/** A course this version can't load. `message` is an i18n.js key that `params` fill in. */
+export class CourseError extends Error {
+  /**
+   * @param {string} key
+   * @param {Record<string, string|number>} [params]
+   */
+  constructor(key, params = {}) {
+    super(key);
+    this.name = 'CourseError';
+    this.params = params;
+  }
+}
+
+/**
+ * A plain obstacle centered vertically.
+ * @param {number} x
+ * @returns {CourseObstacle}
+ */
+export function createObstacle(x) {
+  const gap = DEFAULT_CONFIG.pipeGap;
+  return { x, gapY: Math.round((GAME_HEIGHT - DEFAULT_CONFIG.groundHeight) / 2), gap, motion: 'static', style: null, powerUp: null };
+}
+
+/**
+ * The course a new editor starts from: a few pipes at the default spacing.
+ * @returns {Course}
+ */
+export function defaultCourse() {
+  const obstacles = [0, 1, 2, 3].map((i) => createObstacle(GAME_WIDTH + 120 + i * DEFAULT_CONFIG.pipeSpacing));
+  obstacles[1].gapY -= 80;
+  obstacles[2].gapY += 60;
+  obstacles[3].motion = 'oscillate';
+  const course = { v: COURSE_VERSION, name: 'My course', finish: 0, obstacles };
+  fitFinish(course);
+  return course;
+}
+
+/**
+ * Keeps an obstacle on the playfield: whole pixels, the gap within limits and clear of the
+ * ceiling and ground, with room for the swing of an oscillating gap.
+ * @param {CourseObstacle} obstacle - Adjusted in place.
+ */
+export function clampObstacle(obstacle) {
+  const floor = GAME_HEIGHT - DEFAULT_CONFIG.groundHeight;
+  obstacle.x = Math.round(Math.max(MIN_OBSTACLE_X, obstacle.x));
+  obstacle.gap = Math.round(Math.min(MAX_GAP, Math.max(MIN_GAP, obstacle.gap)));
+  const half = obstacle.gap / 2;
+  const margin = GAP_MARGIN + (obstacle.motion === 'oscillate' ? DEFAULT_CONFIG.oscillateAmplitude : 0);
+  obstacle.gapY = Math.round(Math.min(floor - margin - half, Math.max(margin + half, obstacle.gapY)));
+}
+
+/**
+ * Sorts the obstacles and pushes the finish line past the last one if needed.
+ * @param {Course} course - Adjusted in place.
+ */
+export function fitFinish(course) {
+  course.obstacles.sort((a, b) => a.x - b.x);
+  const last = course.obstacles[course.obstacles.length - 1];
+  const earliest = (last ? last.x + DEFAULT_CONFIG.pipeWidth : MIN_OBSTACLE_X) + FINISH_RUNOUT;
+  course.finish = Math.round(Math.max(course.finish, earliest));
+}
+
+/**
+ * Serializes a course to readable JSON, one obstacle per line.
+ * @param {Course} course
+ * @returns {string}
+ */
+export function serializeCourse(course) {
+  const obstacles = course.obstacles.map((o) => `    ${JSON.stringify(o)}`).join(',\n');
+  const head = JSON.stringify({ v: course.v, name: course.name, finish: course.finish }, null, 2).slice(0, -2);
+  return `${head},\n  "obstacles": [\n${obstacles}\n  ]\n}\n`;
+}
+
+/**
+ * Parses and validates a course. Out-of-range positions are clamped rather than rejected,
+ * so hand-edited files still load.
+ * @param {string} text
+ * @returns {Course}
+ * @throws {CourseError} When the text is not a course this version can play.
+ */
+export function parseCourse(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new CourseError('notice.courseNotJson');
+  }
+  if (!raw || typeof raw !== 'object') throw new CourseError('notice.courseEmpty');
+  if (raw.v !== COURSE_VERSION) throw new CourseError('notice.courseVersion', { version: String(raw.v) });
+  if (!Array.isArray(raw.obstacles)) throw new CourseError('notice.courseNoObstacles');
+  if (raw.obstacles.length > MAX_OBSTACLES) throw new CourseError('notice.courseTooMany', { max: MAX_OBSTACLES });
+
+  const number = (value) => typeof value === 'number' && Number.isFinite(value);
+  const obstacles = raw.obstacles.map((o, i) => {
+    if (!o || !number(o.x) || !number(o.gapY) || !number(o.gap)) throw new CourseError('notice.courseBadObstacle', { n: i + 1 });
+    const obstacle = {
+      x: o.x,
+      gapY: o.gapY,
+      gap: o.gap,
+      motion: OBSTACLE_MOTIONS.includes(o.motion) ? o.motion : 'static',
+      style: typeof o.style === 'string' && Object.hasOwn(OBSTACLE_STYLES, o.style) ? o.style : null,
+      powerUp: POWERUP_KINDS.includes(o.powerUp) ? o.powerUp : null,
+    };
+    clampObstacle(obstacle);
+    return obstacle;
+  });
+  const course = {
+    v: COURSE_VERSION,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : 'Untitled',
+    finish: number(raw.finish) ? raw.finish : 0,
+    obstacles,
+  };
+  fitFinish(course);
+  return course;
+}
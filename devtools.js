@@ -0,0 +1,99 @@
+/**
+ * Flappy Strawberry — developer overlay data
+ *
+ * Slider ranges for live tuning, frame timing statistics and preset export. The adapter
+ * draws the overlay and edits `game.config` in place; nothing here touches the DOM.
+ */
+
+import { DEFAULT_CONFIG } from './core.js';
+
+/**
+ * @typedef {Object} DevParam
+ * @property {keyof typeof DEFAULT_CONFIG} key
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step - Keyboard increment; dragged values snap to it too.
+ */
+
+/** @type {readonly DevParam[]} */
+export const DEV_PARAMS = Object.freeze([
+  { key: 'gravity', label: 'Gravity', min: 600, max: 3600, step: 50 },
+  { key: 'flapImpulse', label: 'Flap impulse', min: -900, max: -150, step: 10 },
+  { key: 'terminalVelDown', label: 'Max fall', min: 200, max: 1400, step: 20 },
+  { key: 'terminalVelUp', label: 'Max rise', min: -1400, max: -200, step: 20 },
+  { key: 'pipeGap', label: 'Pipe gap', min: 80, max: 300, step: 4 },
+  { key: 'pipeSpeed', label: 'Pipe speed', min: 40, max: 320, step: 5 },
+  { key: 'pipeSpacing', label: 'Pipe spacing', min: 140, max: 400, step: 5 },
+]);
+
+/** Slow-motion factors cycled by the overlay (1 = real time). */
+export const DEV_TIME_SCALES = Object.freeze([1, 0.5, 0.25, 0.1]);
+
+/**
+ * Clamps a value into a parameter's range and snaps it to the parameter's step.
+ * @param {DevParam} param
+ * @param {number} value
+ * @returns {number}
+ */
+export function snapParam(param, value) {
+  const snapped = param.min + Math.round((value - param.min) / param.step) * param.step;
+  return Math.min(param.max, Math.max(param.min, snapped));
+}
+
+/**
+ * Rolling frame timing over the last `size` frames.
+ * @param {number} [size]
+ */
+export function createFrameStats(size = 60) {
+  const samples = new Float64Array(size);
+  let count = 0;
+  let cursor = 0;
+
+  /** @param {number} frameMs - Real time since the previous frame. */
+  function record(frameMs) {
+    samples[cursor] = frameMs;
+    cursor = (cursor + 1) % size;
+    count = Math.min(size, count + 1);
+  }
+
+  /** @returns {number} Mean frame time in ms (0 before the first sample). */
+  function averageMs() {
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += samples[i];
+    return count ? sum / count : 0;
+  }
+
+  return {
+    record,
+    /** @returns {number} Frames per second over the window. */
+    get fps() {
+      const avg = averageMs();
+      return avg > 0 ? 1000 / avg : 0;
+    },
+    /** @returns {number} */
+    get averageMs() {
+      return averageMs();
+    },
+    /** @returns {number} Slowest frame in the window, in ms. */
+    get worstMs() {
+      let worst = 0;
+      for (let i = 0; i < count; i++) worst = Math.max(worst, samples[i]);
+      return worst;
+    },
+  };
+}
+
+/**
+ * Serializes the config as a difficulty preset: only the values that differ from
+ * DEFAULT_CONFIG, in the same shape as the entries of DIFFICULTY_PRESETS.
+ * @param {typeof DEFAULT_CONFIG} config
+ * @returns {string} Pretty-printed JSON.
+ */
+export function presetJson(config) {
+  const overrides = {};
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (config[key] !== DEFAULT_CONFIG[key]) overrides[key] = config[key];
+  }
+  return JSON.stringify(overrides, null, 2);
+}
@@ -0,0 +1,331 @@
+/**
+ * Flappy Strawberry — animated GIF clips
+ *
+ * A ring buffer for recent RGBA frames and a GIF89a encoder in plain JavaScript: one
+ * median-cut palette shared by every frame, LZW-compressed image data and a looping
+ * animation. The encoder works a frame at a time so callers can yield between frames.
+ * No DOM access here; the adapter captures the frames and downloads the result.
+ */
+
+/**
+ * Fixed-size ring of equally sized frames. Slots are allocated once and overwritten, so
+ * recording costs no garbage per frame.
+ * @param {number} capacity - Frames kept; older ones are dropped.
+ * @param {number} byteLength - Size of one RGBA frame.
+ */
+export function createFrameRing(capacity, byteLength) {
+  const slots = Array.from({ length: capacity }, () => new Uint8ClampedArray(byteLength));
+  let count = 0;
+  let cursor = 0;
+
+  /** @param {Uint8ClampedArray} pixels - Copied into the ring. */
+  function push(pixels) {
+    slots[cursor].set(pixels);
+    cursor = (cursor + 1) % capacity;
+    count = Math.min(capacity, count + 1);
+  }
+
+  /** @returns {Uint8ClampedArray[]} Copies of the stored frames, oldest first. */
+  function snapshot() {
+    const start = (cursor - count + capacity) % capacity;
+    return Array.from({ length: count }, (_, i) => slots[(start + i) % capacity].slice());
+  }
+
+  function clear() {
+    count = 0;
+    cursor = 0;
+  }
+
+  return {
+    push,
+    snapshot,
+    clear,
+    /** @returns {number} Frames currently stored. */
+    get size() {
+      return count;
+    },
+  };
+}
+
+// Colors are bucketed to 5 bits per channel before quantizing and when looking them up
+const key15 = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * Median-cut quantization of the colors used across all frames.
+ * @param {Uint8ClampedArray[]} frames - RGBA pixels.
+ * @param {number} [maxColors] - At most 256.
+ * @param {number} [stride] - Sample every n-th pixel.
+ * @returns {Uint8Array} RGB triplets, padded with black to 256 entries.
+ */
+export function buildPalette(frames, maxColors = 256, stride = 3) {
+  const counts = new Uint32Array(32768);
+  for (const pixels of frames) {
+    for (let i = 0; i < pixels.length; i += 4 * stride) counts[key15(pixels[i], pixels[i + 1], pixels[i + 2])] += 1;
+  }
+  /** @type {{r:number, g:number, b:number, n:number}[]} */
+  const colors = [];
+  counts.forEach((n, key) => {
+    if (n) colors.push({ r: ((key >> 10) & 31) << 3 | 4, g: ((key >> 5) & 31) << 3 | 4, b: (key & 31) << 3 | 4, n });
+  });
+
+  // Repeatedly split the box with the widest channel range (weighted by pixel count) at its median
+  let boxes = [colors];
+  while (boxes.length < maxColors) {
+    let pick = -1;
+    let pickScore = 0;
+    let pickChannel = 'r';
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      let total = 0;
+      for (const channel of ['r', 'g', 'b']) {
+        let min = 255;
+        let max = 0;
+        for (const c of box) {
+          min = Math.min(min, c[channel]);
+          max = Math.max(max, c[channel]);
+        }
+        const range = max - min;
+        if (range === 0) continue;
+        if (!total) total = box.reduce((sum, c) => sum + c.n, 0);
+        if (range * total > pickScore) {
+          pick = i;
+          pickScore = range * total;
+          pickChannel = channel;
+        }
+      }
+    });
+    if (pick < 0) break;
+    const box = boxes[pick].sort((a, b) => a[pickChannel] - b[pickChannel]);
+    const half = box.reduce((sum, c) => sum + c.n, 0) / 2;
+    let seen = 0;
+    let split = 1;
+    for (; split < box.length - 1; split++) {
+      seen += box[split - 1].n;
+      if (seen >= half) break;
+    }
+    boxes = [...boxes.slice(0, pick), box.slice(0, split), box.slice(split), ...boxes.slice(pick + 1)];
+  }
+
+  const palette = new Uint8Array(256 * 3);
+  boxes.forEach((box, i) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let n = 0;
+    for (const c of box) {
+      r += c.r * c.n;
+      g += c.g * c.n;
+      b += c.b * c.n;
+      n += c.n;
+    }
+    if (!n) return;
+    palette[i * 3] = Math.round(r / n);
+    palette[i * 3 + 1] = Math.round(g / n);
+    palette[i * 3 + 2] = Math.round(b / n);
+  });
+  return palette;
+}
+
+/**
+ * Maps RGBA pixels to palette indices, remembering the nearest entry per 15-bit color.
+ * @param {Uint8Array} palette
+ */
+function createPaletteLookup(palette) {
+  const cache = new Int16Array(32768).fill(-1);
+
+  /** @returns {number} */
+  function nearest(r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < 256; i++) {
+      const dr = palette[i * 3] - r;
+      const dg = palette[i * 3 + 1] - g;
+      const db = palette[i * 3 + 2] - b;
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {Uint8ClampedArray} pixels
+   * @returns {Uint8Array}
+   */
+  return function indexPixels(pixels) {
+    const indices = new Uint8Array(pixels.length / 4);
+    for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+      const key = key15(pixels[i], pixels[i + 1], pixels[i + 2]);
+      if (cache[key] < 0) cache[key] = nearest(pixels[i], pixels[i + 1], pixels[i + 2]);
+      indices[p] = cache[key];
+    }
+    return indices;
+  };
+}
+
+/** Growable byte buffer. */
+function createByteWriter() {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+
+  /** @param {number} byte */
+  function byte(value) {
+    if (length === bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = value;
+  }
+
+  return {
+    byte,
+    /** @param {number} value - Little-endian 16-bit. */
+    short(value) {
+      byte(value & 0xff);
+      byte((value >> 8) & 0xff);
+    },
+    /** @param {ArrayLike<number>|string} values - Bytes, or ASCII text. */
+    bytes(values) {
+      for (let i = 0; i < values.length; i++) byte(typeof values === 'string' ? values.charCodeAt(i) : values[i]);
+    },
+    /** @returns {Uint8Array} */
+    result() {
+      return bytes.slice(0, length);
+    },
+  };
+}
+
+const MAX_CODE = 4096;
+
+/**
+ * GIF-flavoured variable-width LZW, written as data sub-blocks.
+ * @param {ReturnType<typeof createByteWriter>} out
+ * @param {Uint8Array} indices - 8-bit palette indices.
+ */
+function writeLzw(out, indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  /** @type {Map<number, number>} (prefix code << 8 | index) → code */
+  let table = new Map();
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+
+  // Bits are packed LSB first into sub-blocks of at most 255 bytes
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const flushBlock = () => {
+    out.byte(blockLength);
+    out.bytes(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(minCodeSize);
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const known = table.get(key);
+    if (known !== undefined) {
+      prefix = known;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode < MAX_CODE) {
+      // The decoder widens its codes one entry later than we add them
+      if (nextCode === 1 << codeSize) codeSize += 1;
+      table.set(key, nextCode++);
+    } else {
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  if (blockLength > 0) flushBlock();
+  out.byte(0);
+}
+
+/**
+ * Encodes RGBA frames as a looping animated GIF sharing one palette.
+ * @param {Uint8ClampedArray[]} frames - At least one frame.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} delayCs - Time per frame in hundredths of a second.
+ */
+export function createGifEncoder(frames, width, height, delayCs) {
+  const palette = buildPalette(frames);
+  const indexPixels = createPaletteLookup(palette);
+  const out = createByteWriter();
+  let next = 0;
+
+  out.bytes('GIF89a');
+  out.short(width);
+  out.short(height);
+  out.byte(0xf7); // global color table, 8 bits per channel, 256 entries
+  out.byte(0); // background color index
+  out.byte(0); // square pixels
+  out.bytes(palette);
+  // Loop forever
+  out.bytes([0x21, 0xff, 0x0b]);
+  out.bytes('NETSCAPE2.0');
+  out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+  /**
+   * Encodes the next frame.
+   * @returns {boolean} Whether every frame is done.
+   */
+  function encodeNext() {
+    if (next >= frames.length) return true;
+    // Graphic control: no transparency, leave the frame in place
+    out.bytes([0x21, 0xf9, 0x04, 0x04]);
+    out.short(delayCs);
+    out.bytes([0x00, 0x00]);
+    // Full-size image using the global palette
+    out.byte(0x2c);
+    out.short(0);
+    out.short(0);
+    out.short(width);
+    out.short(height);
+    out.byte(0);
+    writeLzw(out, indexPixels(frames[next]));
+    next += 1;
+    return next >= frames.length;
+  }
+
+  return {
+    encodeNext,
+    /** @returns {Uint8Array} The finished file; call once `encodeNext` reports done. */
+    finish() {
+      out.byte(0x3b);
+      return out.result();
+    },
+    /** @returns {number} 0..1 */
+    get progress() {
+      return frames.length ? next / frames.length : 1;
+    },
+  };
+}
@@ -0,0 +1,539 @@
+/**
+ * Flappy Strawberry — string catalog
+ *
+ * Every player-facing canvas string, keyed by a dotted id, in English and Brazilian
+ * Portuguese. `{name}` placeholders are filled from the params passed to `translate`.
+ * Missing entries fall back to English, then to the key itself. No DOM access here.
+ */
+
+/**
+ * @typedef {Object} Language
+ * @property {string} id - Catalog key, also stored in settings.
+ * @property {string} name - Shown in its own language.
+ * @property {string} locale - BCP 47 tag for number and date formatting.
+ */
+
+/** @type {readonly Language[]} */
+export const LANGUAGES = Object.freeze([
+  { id: 'en', name: 'English', locale: 'en-US' },
+  { id: 'pt', name: 'Português', locale: 'pt-BR' },
+]);
+
+/** @type {Readonly<Record<string, Readonly<Record<string, string>>>>} */
+export const STRINGS = Object.freeze({
+  en: {
+    'common.on': 'On',
+    'common.off': 'Off',
+    'common.back': 'Back',
+    'common.save': 'Save',
+
+    'screen.settings': 'Settings',
+    'screen.initials': 'New high score',
+    'screen.leaderboard': 'Leaderboard',
+    'screen.history': 'History',
+    'screen.skins': 'Skins',
+    'screen.achievements': 'Achievements',
+    'screen.controls': 'Controls',
+    'screen.accessibility': 'Accessibility',
+
+    'settings.masterVolume': 'Master volume',
+    'settings.sfxVolume': 'SFX volume',
+    'settings.musicVolume': 'Music volume',
+    'settings.muted': 'Mute',
+    'settings.reducedMotion': 'Reduced motion',
+    'settings.showBest': 'Show best',
+    'settings.ghost': 'Ghost',
+    'settings.ghostStatus': 'Ghost status',
+    'settings.forgivingHitbox': 'Forgiving hitbox',
+    'settings.showHitboxes': 'Debug hitboxes',
+    'settings.theme': 'Theme',
+    'settings.language': 'Language',
+    'settings.languageAuto': 'Auto ({name})',
+    'settings.highContrast': 'High contrast',
+    'settings.assisted': 'Assisted mode',
+    'settings.assistSpeed': 'Game speed',
+    'settings.assistGap': 'Wider gaps',
+
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'difficulty.easy.short': 'easy',
+    'difficulty.normal.short': 'norm',
+    'difficulty.hard.short': 'hard',
+
+    'mode.endless': 'Endless',
+    'mode.timeAttack': 'Time attack',
+    'mode.zen': 'Zen',
+    'mode.hardcore': 'Hardcore',
+
+    'initials.letter': 'Letter {n}',
+    'initials.score': 'Top {size} score: {score}',
+
+    'table.rank': '#',
+    'table.run': 'Run',
+    'table.score': 'Score',
+    'table.time': 'Time',
+    'table.flaps': 'Flaps',
+    'table.difficulty': 'Diff',
+    'table.date': 'Date',
+    'table.empty': 'No runs yet',
+    'history.summary': '{runs} runs · avg score {score}',
+    'history.averages': 'avg time {time} · avg flaps {flaps}',
+    'history.page': 'Page',
+
+    'skins.equipped': 'Equipped',
+    'skins.owned': 'Owned',
+    'skins.price': '{price} seeds',
+    'skins.wallet': 'Seeds: {seeds}',
+    'skin.classic': 'Strawberry',
+    'skin.pineberry': 'Pineberry',
+    'skin.blueberry': 'Blueberry',
+    'skin.dragonfruit': 'Dragon fruit',
+    'skin.golden': 'Golden berry',
+    'skin.choco': 'Choco-dipped',
+
+    'theme.classic': 'Classic',
+    'theme.garden': 'Garden',
+    'theme.candy': 'Candy',
+    'theme.circuit': 'Circuit',
+    'theme.arcade': 'Arcade mix',
+
+    'achievements.count': '{count}/{total} unlocked',
+    'achievements.done': 'Done',
+    'achievements.locked': 'Locked',
+    'achievements.toast': 'Achievement unlocked',
+    'achievement.first10': 'Getting started',
+    'achievement.first10.desc': 'Pass 10 pipes in one run',
+    'achievement.run50': 'Half century',
+    'achievement.run50.desc': 'Score 50 in one run',
+    'achievement.run100': 'Centurion',
+    'achievement.run100.desc': 'Score 100 in one run',
+    'achievement.flaps100': 'Busy wings',
+    'achievement.flaps100.desc': 'Flap 100 times',
+    'achievement.flaps1000': 'Frequent flyer',
+    'achievement.flaps1000.desc': 'Flap 1,000 times',
+    'achievement.nearMiss': 'Close shave',
+    'achievement.nearMiss.desc': 'Pass a pipe with almost no room',
+    'achievement.nearMiss5': 'Daredevil',
+    'achievement.nearMiss5.desc': '5 close shaves in one run',
+    'achievement.bestThree': 'Always improving',
+    'achievement.bestThree.desc': 'Beat your best score 3 times',
+    'achievement.shieldSave': 'Saved by the bubble',
+    'achievement.shieldSave.desc': 'Survive a hit with a shield',
+    'achievement.allPowerUps': 'Full set',
+    'achievement.allPowerUps.desc': 'Grab all 4 power-ups in one run',
+    'achievement.seeds100': 'Seed bank',
+    'achievement.seeds100.desc': 'Collect 100 seeds',
+    'achievement.daily': 'Daily habit',
+    'achievement.daily.desc': 'Finish a daily challenge',
+
+    'controls.flap': 'Flap',
+    'controls.pause': 'Pause',
+    'controls.player1': 'Versus P1',
+    'controls.player2': 'Versus P2',
+    'controls.reset': 'Reset to defaults',
+    'controls.waiting': 'Press a key...',
+    'controls.help1': 'Select an action, then press a key',
+    'controls.help2': 'or gamepad button to add/remove it',
+
+    'hud.paused': 'PAUSED',
+    'hud.resume': 'Resume',
+    'hud.restart': 'Restart',
+    'hud.pressStart': 'Press to start',
+    'hud.seed': 'Seed {seed}',
+    'hud.daily': 'Daily {date}',
+    'hud.dailyChallenge': 'Daily challenge',
+    'hud.ghostOn': 'Ghost on',
+    'hud.ghostOff': 'Ghost off',
+    'hud.ghostNone': 'Ghost (no run yet)',
+    'hud.importReplay': 'Import replay',
+    'hud.gameOver': 'GAME OVER',
+    'hud.timeUp': "TIME'S UP",
+    'hud.mode': 'Mode: {mode}',
+    'hud.endRun': 'End run',
+    'hud.seedsEarned': '+{seeds} seeds ({total} total)',
+    'hud.pressRestart': 'Press to restart',
+    'hud.watchReplay': 'Watch replay',
+    'hud.saveFile': 'Save file',
+    'hud.copyLink': 'Copy link',
+    'hud.saveClip': 'Save GIF clip',
+    'hud.clipEncoding': 'Encoding GIF {percent}%',
+    'hud.update': 'Update ready: reload',
+    'hud.versusOn': 'Versus: 2 players',
+    'hud.versusOff': 'Versus: off',
+    'hud.versusKeys': 'P1 {p1}  P2 {p2}',
+    'hud.versusTouch': 'Touch: left / right half',
+    'hud.player': 'PLAYER {player}',
+    'hud.playerOut': 'PLAYER {player} OUT',
+    'hud.playerTag': 'P{player}',
+    'hud.winner': 'PLAYER {player} WINS',
+    'hud.draw': 'DRAW',
+    'hud.versusScores': 'P1 {p1} - P2 {p2}',
+
+    'ghost.even': 'Ghost even',
+    'ghost.beaten': 'Ghost beaten',
+    'ghost.ahead': 'Ahead +{diff}',
+    'ghost.behind': 'Behind {diff}',
+
+    'replay.daily': 'Replay · Daily {date}',
+    'replay.seed': 'Replay · Seed {seed}',
+    'replay.play': 'Play',
+    'replay.pause': 'Pause',
+    'replay.exit': 'Exit',
+
+    'editor.open': 'Course editor',
+    'editor.title': 'COURSE EDITOR',
+    'editor.info': '{name} · {count} obstacles',
+    'editor.hint': 'Drag to move, drag empty space to scroll',
+    'editor.gapSmaller': 'Gap -',
+    'editor.gapLarger': 'Gap +',
+    'editor.motion.static': 'Still',
+    'editor.motion.oscillate': 'Bobbing',
+    'editor.motion.closing': 'Closing',
+    'editor.styleTheme': 'Theme style',
+    'editor.noPowerUp': 'No power-up',
+    'editor.delete': 'Delete',
+    'editor.add': 'Add',
+    'editor.test': 'Test',
+    'editor.exit': 'Exit',
+    'editor.import': 'Import',
+    'editor.export': 'Export',
+    'editor.backToEditor': 'Edit course',
+    'editor.testStart': 'Press to test the course',
+    'editor.finished': 'FINISHED!',
+    'editor.crashed': 'CRASHED',
+    'editor.time': 'Time {time} s',
+    'editor.progress': '{percent}% of the course',
+
+    'powerUp.shield': 'Shield',
+    'powerUp.slow': 'Slow time',
+    'powerUp.shrink': 'Shrink',
+    'powerUp.multiplier': 'Points x2',
+
+    'notice.gamepad': 'Gamepad connected: {id}',
+    'notice.readFailed': 'Could not read file',
+    'notice.update': 'Update available',
+    'notice.devRun': 'Dev run: not recorded',
+    'notice.invalidReplay': 'Invalid replay',
+    'notice.replayNotJson': 'Replay is not valid JSON',
+    'notice.replayEmpty': 'Replay is empty',
+    'notice.replayVersion': 'Replay was recorded with an incompatible version ({version})',
+    'notice.replaySeed': 'Replay seed is invalid',
+    'notice.replayLength': 'Replay length is invalid',
+    'notice.replayConfig': 'Replay config "{key}" is invalid',
+    'notice.replayFlaps': 'Replay flap data is invalid',
+    'notice.replayLinkCorrupt': 'Replay link is corrupt',
+    'notice.linkInBar': 'Link is in the address bar',
+    'notice.linkCopied': 'Replay link copied',
+    'notice.clipSaved': 'Clip saved',
+    'notice.courseLoaded': 'Course loaded',
+    'notice.invalidCourse': 'Invalid course',
+    'notice.courseNotJson': 'Course is not valid JSON',
+    'notice.courseEmpty': 'Course is empty',
+    'notice.courseVersion': 'Course was saved with an incompatible version ({version})',
+    'notice.courseNoObstacles': 'Course has no obstacle list',
+    'notice.courseTooMany': 'Course has more than {max} obstacles',
+    'notice.courseBadObstacle': 'Course obstacle {n} is invalid',
+    'notice.courseFull': 'A course holds at most {max} obstacles',
+    'notice.needSeeds': 'Need {count} more seeds',
+    'notice.unlocked': '{name} unlocked',
+    'notice.keepBinding': 'Keep at least one binding',
+    'notice.bindingRemoved': 'Removed {key}',
+    'notice.bindingAdded': 'Added {key}',
+    'notice.onlyFlap': '{key} is the only flap binding',
+    'notice.onlyPause': '{key} is the only pause binding',
+    'notice.onlyPlayer1': '{key} is the only P1 binding',
+    'notice.onlyPlayer2': '{key} is the only P2 binding',
+
+    'a11y.start': 'Game started. Flap to stay in the air.',
+    'a11y.score': 'Score {score}',
+    'a11y.gameOver': 'Game over. Score {score}. Best {best}.',
+    'a11y.gameOverBest': 'Game over. New best: {score}!',
+    'a11y.timeUp': "Time's up. Score {score}. Best {best}.",
+    'a11y.timeUpBest': "Time's up. New best: {score}!",
+    'a11y.zenHit': 'Hit! Score {score}',
+    'a11y.paused': 'Paused',
+    'a11y.resuming': 'Resuming in 3 seconds',
+    'a11y.playerOut': 'Player {player} is out',
+    'a11y.achievement': 'Achievement unlocked: {name}',
+    'a11y.versusWinner': 'Game over. Player {player} wins!',
+    'a11y.versusDraw': 'Game over. It is a draw.',
+    'a11y.courseFinished': 'Finish! Time {time} seconds.',
+    'a11y.courseCrashed': 'Crashed at {percent}% of the course.',
+  },
+  pt: {
+    'common.on': 'Ligado',
+    'common.off': 'Desligado',
+    'common.back': 'Voltar',
+    'common.save': 'Salvar',
+
+    'screen.settings': 'Configurações',
+    'screen.initials': 'Novo recorde',
+    'screen.leaderboard': 'Classificação',
+    'screen.history': 'Histórico',
+    'screen.skins': 'Skins',
+    'screen.achievements': 'Conquistas',
+    'screen.controls': 'Controles',
+    'screen.accessibility': 'Acessibilidade',
+
+    'settings.masterVolume': 'Volume geral',
+    'settings.sfxVolume': 'Volume efeitos',
+    'settings.musicVolume': 'Volume música',
+    'settings.muted': 'Mudo',
+    'settings.reducedMotion': 'Menos movimento',
+    'settings.showBest': 'Mostrar recorde',
+    'settings.ghost': 'Fantasma',
+    'settings.ghostStatus': 'Placar fantasma',
+    'settings.forgivingHitbox': 'Hitbox tolerante',
+    'settings.showHitboxes': 'Ver hitboxes',
+    'settings.theme': 'Tema',
+    'settings.language': 'Idioma',
+    'settings.languageAuto': 'Auto ({name})',
+    'settings.highContrast': 'Alto contraste',
+    'settings.assisted': 'Modo assistido',
+    'settings.assistSpeed': 'Velocidade',
+    'settings.assistGap': 'Vãos maiores',
+
+    'difficulty.easy': 'Fácil',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Difícil',
+    'difficulty.easy.short': 'fác',
+    'difficulty.normal.short': 'norm',
+    'difficulty.hard.short': 'dif',
+
+    'mode.endless': 'Infinito',
+    'mode.timeAttack': 'Cronômetro',
+    'mode.zen': 'Zen',
+    'mode.hardcore': 'Extremo',
+
+    'initials.letter': 'Letra {n}',
+    'initials.score': 'Top {size}: {score} pontos',
+
+    'table.rank': '#',
+    'table.run': 'Nº',
+    'table.score': 'Pontos',
+    'table.time': 'Tempo',
+    'table.flaps': 'Batidas',
+    'table.difficulty': 'Dif',
+    'table.date': 'Data',
+    'table.empty': 'Nenhuma partida ainda',
+    'history.summary': '{runs} partidas · média {score} pontos',
+    'history.averages': 'tempo médio {time} · {flaps} batidas',
+    'history.page': 'Página',
+
+    'skins.equipped': 'Equipado',
+    'skins.owned': 'Comprado',
+    'skins.price': '{price} sementes',
+    'skins.wallet': 'Sementes: {seeds}',
+    'skin.classic': 'Morango',
+    'skin.pineberry': 'Morango branco',
+    'skin.blueberry': 'Mirtilo',
+    'skin.dragonfruit': 'Pitaia',
+    'skin.golden': 'Fisális',
+    'skin.choco': 'Com chocolate',
+
+    'theme.classic': 'Clássico',
+    'theme.garden': 'Jardim',
+    'theme.candy': 'Doces',
+    'theme.circuit': 'Circuito',
+    'theme.arcade': 'Mistura arcade',
+
+    'achievements.count': '{count}/{total} desbloqueadas',
+    'achievements.done': 'Feito',
+    'achievements.locked': 'Bloqueada',
+    'achievements.toast': 'Conquista desbloqueada',
+    'achievement.first10': 'Primeiros passos',
+    'achievement.first10.desc': 'Passe 10 canos em uma partida',
+    'achievement.run50': 'Meio século',
+    'achievement.run50.desc': 'Faça 50 pontos em uma partida',
+    'achievement.run100': 'Centenário',
+    'achievement.run100.desc': 'Faça 100 pontos em uma partida',
+    'achievement.flaps100': 'Asas ocupadas',
+    'achievement.flaps100.desc': 'Bata as asas 100 vezes',
+    'achievement.flaps1000': 'Passageiro frequente',
+    'achievement.flaps1000.desc': 'Bata as asas 1.000 vezes',
+    'achievement.nearMiss': 'Por um triz',
+    'achievement.nearMiss.desc': 'Passe um cano quase sem espaço',
+    'achievement.nearMiss5': 'Destemido',
+    'achievement.nearMiss5.desc': '5 vezes por um triz em uma partida',
+    'achievement.bestThree': 'Sempre melhorando',
+    'achievement.bestThree.desc': 'Supere seu recorde 3 vezes',
+    'achievement.shieldSave': 'Salvo pela bolha',
+    'achievement.shieldSave.desc': 'Sobreviva a uma batida com escudo',
+    'achievement.allPowerUps': 'Coleção completa',
+    'achievement.allPowerUps.desc': 'Pegue os 4 poderes em uma partida',
+    'achievement.seeds100': 'Banco de sementes',
+    'achievement.seeds100.desc': 'Junte 100 sementes',
+    'achievement.daily': 'Hábito diário',
+    'achievement.daily.desc': 'Termine um desafio diário',
+
+    'controls.flap': 'Voar',
+    'controls.pause': 'Pausa',
+    'controls.player1': 'Duelo J1',
+    'controls.player2': 'Duelo J2',
+    'controls.reset': 'Restaurar padrão',
+    'controls.waiting': 'Aperte uma tecla...',
+    'controls.help1': 'Escolha uma ação e aperte uma tecla',
+    'controls.help2': 'ou botão do controle para alternar',
+
+    'hud.paused': 'PAUSADO',
+    'hud.resume': 'Continuar',
+    'hud.restart': 'Reiniciar',
+    'hud.pressStart': 'Toque para começar',
+    'hud.seed': 'Mapa {seed}',
+    'hud.daily': 'Diário {date}',
+    'hud.dailyChallenge': 'Desafio diário',
+    'hud.ghostOn': 'Fantasma: sim',
+    'hud.ghostOff': 'Fantasma: não',
+    'hud.ghostNone': 'Fantasma (vazio)',
+    'hud.importReplay': 'Importar replay',
+    'hud.gameOver': 'FIM DE JOGO',
+    'hud.timeUp': 'TEMPO ESGOTADO',
+    'hud.mode': 'Modo: {mode}',
+    'hud.endRun': 'Encerrar partida',
+    'hud.seedsEarned': '+{seeds} sementes ({total} no total)',
+    'hud.pressRestart': 'Toque para reiniciar',
+    'hud.watchReplay': 'Ver replay',
+    'hud.saveFile': 'Salvar',
+    'hud.copyLink': 'Copiar link',
+    'hud.saveClip': 'Salvar clipe GIF',
+    'hud.clipEncoding': 'Gerando GIF {percent}%',
+    'hud.update': 'Atualizar agora',
+    'hud.versusOn': 'Duelo: 2 jogadores',
+    'hud.versusOff': 'Duelo: não',
+    'hud.versusKeys': 'J1 {p1}  J2 {p2}',
+    'hud.versusTouch': 'Toque: metade esq. / dir.',
+    'hud.player': 'JOGADOR {player}',
+    'hud.playerOut': 'J{player} FORA',
+    'hud.playerTag': 'J{player}',
+    'hud.winner': 'JOGADOR {player} VENCE',
+    'hud.draw': 'EMPATE',
+    'hud.versusScores': 'J1 {p1} - J2 {p2}',
+
+    'ghost.even': 'Empatado',
+    'ghost.beaten': 'Fantasma vencido',
+    'ghost.ahead': 'Na frente +{diff}',
+    'ghost.behind': 'Atrás {diff}',
+
+    'replay.daily': 'Replay · Diário {date}',
+    'replay.seed': 'Replay · Mapa {seed}',
+    'replay.play': 'Tocar',
+    'replay.pause': 'Pausar',
+    'replay.exit': 'Sair',
+
+    'editor.open': 'Editor de pistas',
+    'editor.title': 'EDITOR DE PISTAS',
+    'editor.info': '{name} · {count} obstáculos',
+    'editor.hint': 'Arraste para mover ou rolar a pista',
+    'editor.gapSmaller': 'Vão -',
+    'editor.gapLarger': 'Vão +',
+    'editor.motion.static': 'Parado',
+    'editor.motion.oscillate': 'Balança',
+    'editor.motion.closing': 'Fecha',
+    'editor.styleTheme': 'Do tema',
+    'editor.noPowerUp': 'Sem poder',
+    'editor.delete': 'Apagar',
+    'editor.add': 'Novo',
+    'editor.test': 'Testar',
+    'editor.exit': 'Sair',
+    'editor.import': 'Importar',
+    'editor.export': 'Exportar',
+    'editor.backToEditor': 'Editar pista',
+    'editor.testStart': 'Toque para testar a pista',
+    'editor.finished': 'CHEGOU!',
+    'editor.crashed': 'BATEU',
+    'editor.time': 'Tempo {time} s',
+    'editor.progress': '{percent}% da pista',
+
+    'powerUp.shield': 'Escudo',
+    'powerUp.slow': 'Câmera lenta',
+    'powerUp.shrink': 'Encolher',
+    'powerUp.multiplier': 'Pontos x2',
+
+    'notice.gamepad': 'Controle conectado: {id}',
+    'notice.readFailed': 'Não deu para ler o arquivo',
+    'notice.update': 'Atualização disponível',
+    'notice.devRun': 'Partida de teste: não salva',
+    'notice.invalidReplay': 'Replay inválido',
+    'notice.replayNotJson': 'O replay não é um JSON válido',
+    'notice.replayEmpty': 'O replay está vazio',
+    'notice.replayVersion': 'O replay foi gravado com uma versão incompatível ({version})',
+    'notice.replaySeed': 'O mapa do replay é inválido',
+    'notice.replayLength': 'A duração do replay é inválida',
+    'notice.replayConfig': 'A configuração "{key}" do replay é inválida',
+    'notice.replayFlaps': 'As batidas do replay são inválidas',
+    'notice.replayLinkCorrupt': 'O link do replay está corrompido',
+    'notice.linkInBar': 'O link está na barra de endereço',
+    'notice.linkCopied': 'Link do replay copiado',
+    'notice.clipSaved': 'Clipe salvo',
+    'notice.courseLoaded': 'Pista carregada',
+    'notice.invalidCourse': 'Pista inválida',
+    'notice.courseNotJson': 'A pista não é um JSON válido',
+    'notice.courseEmpty': 'A pista está vazia',
+    'notice.courseVersion': 'A pista foi salva com uma versão incompatível ({version})',
+    'notice.courseNoObstacles': 'A pista não tem lista de obstáculos',
+    'notice.courseTooMany': 'A pista tem mais de {max} obstáculos',
+    'notice.courseBadObstacle': 'O obstáculo {n} da pista é inválido',
+    'notice.courseFull': 'Uma pista comporta no máximo {max} obstáculos',
+    'notice.needSeeds': 'Faltam {count} sementes',
+    'notice.unlocked': '{name} desbloqueado',
+    'notice.keepBinding': 'Mantenha ao menos um comando',
+    'notice.bindingRemoved': '{key} removido',
+    'notice.bindingAdded': '{key} adicionado',
+    'notice.onlyFlap': '{key} é o único comando de voar',
+    'notice.onlyPause': '{key} é o único comando de pausa',
+    'notice.onlyPlayer1': '{key} é o único comando do J1',
+    'notice.onlyPlayer2': '{key} é o único comando do J2',
+
+    'a11y.start': 'Jogo iniciado. Voe para se manter no ar.',
+    'a11y.score': '{score} pontos',
+    'a11y.gameOver': 'Fim de jogo. {score} pontos. Recorde {best}.',
+    'a11y.gameOverBest': 'Fim de jogo. Novo recorde: {score}!',
+    'a11y.timeUp': 'Tempo esgotado. {score} pontos. Recorde {best}.',
+    'a11y.timeUpBest': 'Tempo esgotado. Novo recorde: {score}!',
+    'a11y.zenHit': 'Batida! {score} pontos',
+    'a11y.paused': 'Pausado',
+    'a11y.resuming': 'Voltando em 3 segundos',
+    'a11y.playerOut': 'Jogador {player} está fora',
+    'a11y.achievement': 'Conquista desbloqueada: {name}',
+    'a11y.versusWinner': 'Fim de jogo. Jogador {player} venceu!',
+    'a11y.versusDraw': 'Fim de jogo. Empate.',
+    'a11y.courseFinished': 'Chegada! Tempo {time} segundos.',
+    'a11y.courseCrashed': 'Bateu em {percent}% da pista.',
+  },
+});
+
+/**
+ * Picks the first supported language from the browser's preferences, by primary subtag
+ * (`pt-PT` and `pt-BR` both map to `pt`). Falls back to English.
+ * @param {readonly string[]} preferred - Usually `navigator.languages`.
+ * @returns {string} A language id.
+ */
+export function detectLanguage(preferred) {
+  for (const tag of preferred) {
+    const primary = String(tag).toLowerCase().split('-')[0];
+    if (LANGUAGES.some((lang) => lang.id === primary)) return primary;
+  }
+  return LANGUAGES[0].id;
+}
+
+/**
+ * Looks up a language, falling back to English for unknown ids.
+ * @param {string} id
+ * @returns {Language}
+ */
+export function languageById(id) {
+  return LANGUAGES.find((lang) => lang.id === id) || LANGUAGES[0];
+}
+
+/**
+ * @param {string} lang - Language id.
+ * @param {string} key - Catalog key.
+ * @param {Record<string, string|number>} [params] - Values for `{name}` placeholders.
+ * @returns {string}
+ */
+export function translate(lang, key, params = {}) {
+  const table = STRINGS[lang] || STRINGS.en;
+  const text = table[key] || STRINGS.en[key] || key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
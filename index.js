@@ -1,10 +1,96 @@
 /**
  * Flappy Strawberry — vanilla Canvas 2D implementation
  *
- * Controls: tap/click or press Space/ArrowUp/W to flap.
- * Audio is initialized lazily on first user interaction.
+ * Controls: tap/click, press Space/ArrowUp/W or any gamepad face button to flap; the
+ * bindings (keys and gamepad buttons) can be remapped in Settings › Controls. Press D (or tap the
+ * button) on the idle screen for the Daily Challenge; `?seed=` in the URL replays a course.
+ * After a run, R watches its replay; `#replay=` in the URL opens a shared one. C (or the
+ * button) saves its last five seconds as an animated GIF.
+ * G toggles the ghost of your best run, which you race on the same course.
+ * 1/2/3 pick the easy/normal/hard difficulty preset before starting. M (or the Mode button)
+ * cycles the game modes: endless, Time Attack (most pipes in 60 seconds), Zen (collisions
+ * cost points; end the run from the pause menu or with Q) and Hardcore (narrow gaps, faster
+ * scrolling, no ceiling). Each mode keeps its own best score and ghost.
+ * Escape/P, gamepad Start (or the on-screen button) pauses; the game also pauses when the tab loses focus.
+ * S (or the Settings button) opens the settings menu from the idle screen; L and H open
+ * the local leaderboard and the run history. K opens the skin gallery, where seeds
+ * collected during runs unlock new looks. A opens the achievements list; new ones pop
+ * up as toasts during play.
+ * Backquote toggles the developer overlay: frame stats, live physics sliders, frame
+ * stepping, slow motion, invincibility and preset export.
+ * Settings › Accessibility has a high-contrast look and an assisted mode (slower game,
+ * wider gaps); game start, score milestones and game over are announced to screen readers.
+ * Canvas text follows the browser language (English or Portuguese) unless Settings
+ * overrides it. Audio is initialized lazily on first user interaction.
+ * V (or the Versus button) on the idle screen switches to same-device versus: two
+ * strawberries on one course, flapped with W and ArrowUp (rebindable) or by tapping the
+ * left and right halves of the screen. Versus runs never touch the records.
+ * E (or the Course editor button) opens the course editor: drag obstacles, their gap edges
+ * and the finish line, tweak the selected obstacle with the tool buttons, test-play with
+ * Enter and import/export the course as JSON (course.js).
+ * The game works offline once loaded (sw.js); when a new version is cached, U (or the
+ * button on the idle and game-over screens) reloads into it.
+ *
+ * This module is the browser adapter: rendering, audio, input and storage. The
+ * simulation itself lives in core.js and has no DOM dependencies.
  */
 
+import {
+  GAME_WIDTH,
+  GAME_HEIGHT,
+  STEP_MS,
+  createGame,
+  parseSeed,
+  formatSeed,
+  randomSeed,
+  dailyKey,
+  dailySeed,
+  DIFFICULTY_PRESETS,
+  configForDifficulty,
+  GAME_MODES,
+  configForMode,
+  POWERUP_KINDS,
+  strawberryHitbox,
+  versusWinner,
+  PLAYER_X,
+} from './core.js';
+import {
+  createRunLog,
+  serializeRunLog,
+  parseRunLog,
+  encodeRunLog,
+  decodeRunLog,
+  ReplayError,
+  createReplayPlayer,
+  configsMatch,
+} from './replay.js';
+import { createParticlePool } from './particles.js';
+import { SKINS, skinById } from './skins.js';
+import {
+  OBSTACLE_STYLES,
+  THEME_PACKS,
+  HIGH_CONTRAST_STYLES,
+  HIGH_CONTRAST_BACKGROUND,
+  themeById,
+  pickObstacleStyles,
+} from './themes.js';
+import { createMusicPlayer, intensityForScore } from './music.js';
+import { LANGUAGES, detectLanguage, languageById, translate } from './i18n.js';
+import { DEV_PARAMS, DEV_TIME_SCALES, snapParam, createFrameStats, presetJson } from './devtools.js';
+import { ACHIEVEMENTS, createAchievementTracker, parseAchievementProgress } from './achievements.js';
+import { createFrameRing, createGifEncoder } from './gif.js';
+import {
+  OBSTACLE_MOTIONS,
+  MAX_OBSTACLES,
+  createObstacle,
+  defaultCourse,
+  clampObstacle,
+  fitFinish,
+  serializeCourse,
+  parseCourse,
+  CourseError,
+} from './course.js';
+
 const canvas = document.getElementById('game');
 if (!(canvas instanceof HTMLCanvasElement)) {
   throw new Error('Canvas element #game not found or is not a <canvas>');
@@ -26,7 +112,14 @@ if (!ctx) {
 
 // Audio (initialized on first user interaction)
 let audioCtx = null;
-const PASS_SCALE = [680];
+// Mixer: effects → sfx bus, soundtrack → music bus; both → master → speakers
+let masterBus = null;
+let sfxBus = null;
+let musicBus = null;
+/** @type {ReturnType<typeof createMusicPlayer>|null} */
+let music = null;
+// A minor pentatonic (C5 up to E6), in key with the soundtrack; the top note gets a flourish
+const PASS_SCALE = [523.25, 587.33, 659.25, 783.99, 880, 1046.5, 1174.66, 1318.51];
 /**
  * Ensures a single AudioContext exists and is resumed if suspended.
  * No-ops on platforms without WebAudio support.
@@ -36,6 +129,15 @@ function ensureAudio() {
     const AC = window.AudioContext || window.webkitAudioContext;
     if (!AC) return;
     audioCtx = new AC({ latencyHint: 'interactive' });
+    masterBus = audioCtx.createGain();
+    masterBus.connect(audioCtx.destination);
+    sfxBus = audioCtx.createGain();
+    sfxBus.connect(masterBus);
+    musicBus = audioCtx.createGain();
+    musicBus.connect(masterBus);
+    applyAudioSettings();
+    music = createMusicPlayer(audioCtx, musicBus);
+    music.start();
   }
   if (audioCtx && audioCtx.state === 'suspended') {
     // Best-effort resume; browsers may gate this behind user gestures.
@@ -43,6 +145,43 @@ function ensureAudio() {
   }
 }
 
+/** Applies volume/mute settings to the audio buses. */
+function applyAudioSettings() {
+  if (!audioCtx) return;
+  masterBus.gain.value = settings.muted ? 0 : settings.masterVolume;
+  sfxBus.gain.value = settings.sfxVolume;
+  musicBus.gain.value = settings.musicVolume;
+}
+
+/**
+ * Follows the game with the soundtrack: calm on idle screens, more layers as the score climbs.
+ * @param {ReturnType<typeof createGame>} g - Game being shown (live or replay).
+ */
+function updateMusic(g) {
+  if (!music) return;
+  const active = g.state.started && !g.state.gameOver;
+  music.setIntensity(active ? intensityForScore(g.state.score) : 0);
+}
+
+/**
+ * Ducks the soundtrack under important moments (see `createMusicPlayer().duck`).
+ * @param {number} level
+ * @param {number} [releaseS]
+ */
+function duckMusic(level, releaseS = 0) {
+  if (music) music.duck(level, releaseS);
+}
+
+/** Stops scheduling the soundtrack while the game is paused or the tab is hidden. */
+function stopMusic() {
+  if (music) music.stop();
+}
+
+/** Starts the soundtrack again unless the game is paused or the tab is hidden. */
+function resumeMusic() {
+  if (music && !session.paused && document.visibilityState !== 'hidden') music.start();
+}
+
 /**
  * Plays a short beep when the player passes a pipe.
  * @param {number} score - Current score, used to vary the tone.
@@ -59,7 +198,7 @@ function playPassBeep(score) {
   gain.gain.setValueAtTime(0, t);
   gain.gain.linearRampToValueAtTime(0.07, t + 0.01);
   gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.12);
-  osc.connect(gain).connect(audioCtx.destination);
+  osc.connect(gain).connect(sfxBus);
   osc.start(t);
   osc.stop(t + 0.14);
 
@@ -72,12 +211,30 @@ function playPassBeep(score) {
     gain2.gain.setValueAtTime(0, t + 0.04);
     gain2.gain.linearRampToValueAtTime(0.05, t + 0.05);
     gain2.gain.exponentialRampToValueAtTime(0.0001, t + 0.16);
-    osc2.connect(gain2).connect(audioCtx.destination);
+    osc2.connect(gain2).connect(sfxBus);
     osc2.start(t + 0.04);
     osc2.stop(t + 0.18);
   }
 }
 
+/** Plays a rising arpeggio when an achievement unlocks. */
+function playAchievementChime() {
+  if (!audioCtx) return;
+  const t = audioCtx.currentTime;
+  [659, 831, 988, 1319].forEach((f, i) => {
+    const osc = audioCtx.createOscillator();
+    const g = audioCtx.createGain();
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(f, t + i * 0.07);
+    g.gain.setValueAtTime(0, t + i * 0.07);
+    g.gain.linearRampToValueAtTime(0.07, t + i * 0.07 + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + i * 0.07 + 0.2);
+    osc.connect(g).connect(sfxBus);
+    osc.start(t + i * 0.07);
+    osc.stop(t + i * 0.07 + 0.22);
+  });
+}
+
 /** Plays a brief start chime when the game begins. */
 function playStartChime() {
   if (!audioCtx) return;
@@ -91,7 +248,7 @@ function playStartChime() {
     g.gain.setValueAtTime(0, t + i * 0.08);
     g.gain.linearRampToValueAtTime(0.06, t + i * 0.09);
     g.gain.exponentialRampToValueAtTime(0.0001, t + i * 0.18);
-    osc.connect(g).connect(audioCtx.destination);
+    osc.connect(g).connect(sfxBus);
     osc.start(t + i * 0.08);
     osc.stop(t + i * 0.2);
   });
@@ -108,14 +265,91 @@ function playGameOverFx() {
   osc.frequency.exponentialRampToValueAtTime(180, t + 0.4);
   g.gain.setValueAtTime(0.08, t);
   g.gain.exponentialRampToValueAtTime(0.0001, t + 0.45);
-  osc.connect(g).connect(audioCtx.destination);
+  osc.connect(g).connect(sfxBus);
   osc.start(t);
   osc.stop(t + 0.46);
 }
 
-// Logical resolution (game units). The canvas will be scaled via CSS.
-const GAME_WIDTH = 360; // narrow, mobile-first
-const GAME_HEIGHT = 640; // 9:16 aspect
+// Each power-up has its own little jingle: oscillator type and note sequence (Hz)
+const POWERUP_SOUNDS = {
+  shield: { type: 'triangle', notes: [440, 660, 880] },
+  slow: { type: 'sine', notes: [740, 554, 415] },
+  shrink: { type: 'square', notes: [988, 1319] },
+  multiplier: { type: 'square', notes: [660, 831, 988, 1319] },
+};
+
+/**
+ * Plays the pickup jingle for a power-up.
+ * @param {import('./core.js').PowerUpKind} kind
+ */
+function playPowerUpSound(kind) {
+  if (!audioCtx) return;
+  const t = audioCtx.currentTime;
+  const { type, notes } = POWERUP_SOUNDS[kind];
+  notes.forEach((f, i) => {
+    const start = t + i * 0.06;
+    const osc = audioCtx.createOscillator();
+    const g = audioCtx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(f, start);
+    g.gain.setValueAtTime(0, start);
+    g.gain.linearRampToValueAtTime(0.06, start + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, start + 0.1);
+    osc.connect(g).connect(sfxBus);
+    osc.start(start);
+    osc.stop(start + 0.12);
+  });
+}
+
+/**
+ * Plays the equipped skin's flap blip, if it has one.
+ * @param {import('./skins.js').Skin} skin
+ */
+function playFlapSound(skin) {
+  if (!audioCtx || !skin.flapSound) return;
+  const t = audioCtx.currentTime;
+  const osc = audioCtx.createOscillator();
+  const g = audioCtx.createGain();
+  osc.type = skin.flapSound.type;
+  osc.frequency.setValueAtTime(skin.flapSound.freq, t);
+  osc.frequency.exponentialRampToValueAtTime(skin.flapSound.freq * 1.5, t + 0.05);
+  g.gain.setValueAtTime(0.04, t);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + 0.07);
+  osc.connect(g).connect(sfxBus);
+  osc.start(t);
+  osc.stop(t + 0.08);
+}
+
+/** Plays a tiny tick when a seed is collected. */
+function playCollectTick() {
+  if (!audioCtx) return;
+  const t = audioCtx.currentTime;
+  const osc = audioCtx.createOscillator();
+  const g = audioCtx.createGain();
+  osc.type = 'square';
+  osc.frequency.setValueAtTime(1568, t);
+  g.gain.setValueAtTime(0.03, t);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + 0.05);
+  osc.connect(g).connect(sfxBus);
+  osc.start(t);
+  osc.stop(t + 0.06);
+}
+
+/** Plays a crunchy drop when the shield absorbs a hit. */
+function playShieldBreak() {
+  if (!audioCtx) return;
+  const t = audioCtx.currentTime;
+  const osc = audioCtx.createOscillator();
+  const g = audioCtx.createGain();
+  osc.type = 'sawtooth';
+  osc.frequency.setValueAtTime(320, t);
+  osc.frequency.exponentialRampToValueAtTime(90, t + 0.2);
+  g.gain.setValueAtTime(0.07, t);
+  g.gain.exponentialRampToValueAtTime(0.0001, t + 0.22);
+  osc.connect(g).connect(sfxBus);
+  osc.start(t);
+  osc.stop(t + 0.24);
+}
 
 // Configure the canvas/backing stores
 /**
@@ -153,422 +387,2978 @@ window.addEventListener('resize', () => {
   });
 }, { passive: true });
 
-// Game state
-const STORAGE_KEYS = { best: 'flappy_strawberry_best' };
-
 /**
- * Safely reads the best score from localStorage.
- * @returns {number}
+ * Reads an optional `?seed=` from the page URL. `?seed=daily` selects the Daily Challenge.
+ * @returns {{seed:number|null, daily:boolean}}
  */
-function readBestScore() {
+function readUrlSeed() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEYS.best);
-    const parsed = raw == null ? 0 : Number(raw);
-    return Number.isFinite(parsed) ? parsed : 0;
+    const raw = new URLSearchParams(window.location.search).get('seed');
+    if (raw == null || raw.trim() === '') return { seed: null, daily: false };
+    if (raw.trim().toLowerCase() === 'daily') return { seed: null, daily: true };
+    return { seed: parseSeed(raw), daily: false };
   } catch {
-    return 0;
+    return { seed: null, daily: false };
   }
 }
 
+const urlSeed = readUrlSeed();
+
+// Persistence
+const STORAGE_KEYS = {
+  /** Legacy plain best score; migrated into `records` on first load. */
+  best: 'flappy_strawberry_best',
+  records: 'flappy_strawberry_records',
+  ghost: 'flappy_strawberry_ghost',
+  settings: 'flappy_strawberry_settings',
+  wallet: 'flappy_strawberry_wallet',
+  achievements: 'flappy_strawberry_achievements',
+  course: 'flappy_strawberry_course',
+  /** Best scores of the modes other than endless, which keeps `records.best`. */
+  modeBests: 'flappy_strawberry_mode_bests',
+};
+
+// Bump when the records layout changes and extend `migrateRecords` accordingly.
+const RECORDS_VERSION = 1;
+const LEADERBOARD_SIZE = 10;
+const HISTORY_SIZE = 50;
+
 /**
- * Best-effort write of best score to localStorage. Swallows quota/access errors.
- * @param {number} value
+ * @typedef {Object} RunRecord
+ * @property {number} score
+ * @property {string|null} date - ISO timestamp; null for entries migrated from the legacy best.
+ * @property {number} durationMs
+ * @property {number} flaps
+ * @property {string} difficulty
+ * @property {string} [initials] - Leaderboard entries only.
  */
-function writeBestScore(value) {
+
+/**
+ * @typedef {Object} Records
+ * @property {number} version
+ * @property {number} best
+ * @property {RunRecord[]} leaderboard - Top scores, highest first.
+ * @property {RunRecord[]} history - Most recent runs, newest first.
+ * @property {string} lastInitials
+ */
+
+/** @returns {Records} */
+function emptyRecords() {
+  return { version: RECORDS_VERSION, best: 0, leaderboard: [], history: [], lastInitials: 'AAA' };
+}
+
+/**
+ * Brings stored records (or the legacy best score key) up to `RECORDS_VERSION`.
+ * @param {any} raw - Parsed records, or null when none were stored yet.
+ * @param {string|null} legacyBest - Value of the legacy best-score key.
+ * @returns {Records}
+ */
+function migrateRecords(raw, legacyBest) {
+  if (!raw || typeof raw !== 'object' || !Number.isInteger(raw.version)) {
+    const records = emptyRecords();
+    const best = legacyBest == null ? 0 : Number(legacyBest);
+    if (Number.isFinite(best) && best > 0) {
+      records.best = best;
+      records.leaderboard.push({ initials: '---', score: best, date: null, durationMs: 0, flaps: 0, difficulty: 'normal' });
+    }
+    return records;
+  }
+  const records = { ...emptyRecords(), ...raw, version: RECORDS_VERSION };
+  if (!Number.isFinite(records.best)) records.best = 0;
+  if (!Array.isArray(records.leaderboard)) records.leaderboard = [];
+  if (!Array.isArray(records.history)) records.history = [];
+  return records;
+}
+
+/**
+ * Best-effort write of the records to localStorage. Swallows quota/access errors.
+ * @param {Records} value
+ */
+function writeRecords(value) {
   try {
-    localStorage.setItem(STORAGE_KEYS.best, String(value));
+    localStorage.setItem(STORAGE_KEYS.records, JSON.stringify(value));
   } catch {}
 }
 
-const state = {
-  started: false,
-  gameOver: false,
-  score: 0,
-  best: readBestScore(),
-  /** Whether this run has surpassed the stored best at least once. */
-  newBestAchieved: false,
-};
+/**
+ * Safely reads the versioned records, migrating the legacy best-score key on first load.
+ * @returns {Records}
+ */
+function readRecords() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEYS.records);
+    if (raw != null) return migrateRecords(JSON.parse(raw), null);
+    const records = migrateRecords(null, localStorage.getItem(STORAGE_KEYS.best));
+    writeRecords(records);
+    localStorage.removeItem(STORAGE_KEYS.best);
+    return records;
+  } catch {
+    return emptyRecords();
+  }
+}
 
-// Strawberry (the player)
-const strawberry = {
-  x: 80,
-  y: GAME_HEIGHT / 2,
-  radius: 18,
-  vy: 0,
-  rotation: 0,
-};
+const records = readRecords();
 
-// Physics
-// Values in pixels per second (px/s) and px/s^2
-const gravity = 1800; // downward acceleration
-const flapImpulse = -420; // upward instant velocity when flapping
-const terminalVelDown = 600; // clamp downward speed
-const terminalVelUp = -700; // clamp upward speed
-
-// Pipes (obstacles)
-const pipes = [];
-const pipeGap = 160; // vertical gap between top and bottom (slightly easier)
-const pipeWidth = 56;
-const pipeSpacing = 240; // distance between pipes on x axis
-const pipeSpeed = 125; // scroll speed (px/s) ~25% faster
-
-// Ground line for visual reference
-const groundHeight = 72;
-// Background parallax layers speeds (px/s)
-const parallax = {
-  stars: 10,
-  hills: 20,
-  clouds: 35,
-  bushes: 60,
-};
+/**
+ * Safely reads the best scores of the non-endless modes. Missing or corrupt entries count as 0.
+ * @returns {Record<string, number>}
+ */
+function readModeBests() {
+  const bests = {};
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEYS.modeBests));
+    for (const id of Object.keys(GAME_MODES)) {
+      if (raw && Number.isInteger(raw[id]) && raw[id] > 0) bests[id] = raw[id];
+    }
+  } catch {}
+  return bests;
+}
+
+/**
+ * Best-effort write of the mode best scores. Swallows quota/access errors.
+ * @param {Record<string, number>} value
+ */
+function writeModeBests(value) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.modeBests, JSON.stringify(value));
+  } catch {}
+}
 
-let bgOffset = { stars: 0, hills: 0, clouds: 0, bushes: 0 };
+const modeBests = readModeBests();
 
-// Controls
-/** Handles a single flap input depending on the current game state. */
-function flap() {
-  ensureAudio();
-  if (!state.started) {
-    startGame();
-    return;
-  }
-  if (state.gameOver) {
-    resetGame();
-    return;
-  }
-  strawberry.vy = flapImpulse;
+/**
+ * Storage key of the ghost for a difficulty and mode; endless keeps the original keys.
+ * @param {string} difficulty
+ * @param {string} mode
+ * @returns {string}
+ */
+function ghostKey(difficulty, mode) {
+  return mode === 'endless' ? `${STORAGE_KEYS.ghost}:${difficulty}` : `${STORAGE_KEYS.ghost}:${difficulty}:${mode}`;
 }
 
-window.addEventListener('pointerdown', flap, { passive: true });
-window.addEventListener('keydown', (e) => {
-  ensureAudio();
-  if (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
-    e.preventDefault();
-    flap();
+/**
+ * Safely reads the best run's log (the ghost) for a difficulty and mode. Missing, corrupt
+ * or outdated logs yield null.
+ * @param {string} difficulty
+ * @param {string} mode
+ * @returns {import('./replay.js').RunLog|null}
+ */
+function readGhostLog(difficulty, mode) {
+  try {
+    const raw = localStorage.getItem(ghostKey(difficulty, mode));
+    return raw == null ? null : parseRunLog(raw);
+  } catch {
+    return null;
   }
-}, { passive: false });
+}
 
-// Game loop timing
-let lastTime = 0;
-function loop(ts) {
-  const dt = Math.min(32, ts - lastTime);
-  lastTime = ts;
-  update(dt);
-  draw();
-  requestAnimationFrame(loop);
+/**
+ * Best-effort write of the best run's log, kept per difficulty and mode. Swallows
+ * quota/access errors.
+ * @param {import('./replay.js').RunLog} log
+ */
+function writeGhostLog(log) {
+  try {
+    localStorage.setItem(ghostKey(log.difficulty, log.mode), serializeRunLog(log));
+  } catch {}
 }
-requestAnimationFrame(loop);
 
-/** Resets state to begin a new game run and seeds initial pipes. */
-function startGame() {
-  state.started = true;
-  state.gameOver = false;
-  state.score = 0;
-  strawberry.y = GAME_HEIGHT / 2;
-  strawberry.vy = 0;
-  pipes.length = 0;
-  // Seed initial pipes to the right
-  let x = GAME_WIDTH + 120;
-  for (let i = 0; i < 4; i++) {
-    pipes.push(generatePipeAtX(x));
-    x += pipeSpacing;
+// Input bindings are KeyboardEvent.code values or `Pad<n>` for standard-mapping gamepad buttons.
+const PAD_FACE_BUTTONS = ['Pad0', 'Pad1', 'Pad2', 'Pad3'];
+const PAD_START = 'Pad9';
+const DEFAULT_BINDINGS = Object.freeze({
+  flap: ['Space', 'ArrowUp', 'KeyW', ...PAD_FACE_BUTTONS],
+  pause: ['Escape', 'KeyP', PAD_START],
+  player1: ['KeyW'],
+  player2: ['ArrowUp'],
+});
+
+const DEFAULT_SETTINGS = Object.freeze({
+  masterVolume: 1,
+  sfxVolume: 1,
+  musicVolume: 0.6,
+  muted: false,
+  /** Disables parallax scrolling and other non-essential motion. */
+  reducedMotion: false,
+  showBest: true,
+  ghostEnabled: true,
+  showGhostStatus: true,
+  difficulty: 'normal',
+  /** @type {keyof typeof GAME_MODES} */
+  mode: 'endless',
+  /** Keys/buttons that flap; any of them works. */
+  flapBindings: DEFAULT_BINDINGS.flap,
+  /** Keys/buttons that pause and resume. */
+  pauseBindings: DEFAULT_BINDINGS.pause,
+  /** Keys/buttons that flap player 1 in versus mode. */
+  player1Bindings: DEFAULT_BINDINGS.player1,
+  /** Keys/buttons that flap player 2 in versus mode. */
+  player2Bindings: DEFAULT_BINDINGS.player2,
+  /** Equipped skin id (see skins.js). */
+  skin: SKINS[0].id,
+  /** Obstacle/background theme pack id (see themes.js). */
+  theme: THEME_PACKS[0].id,
+  /** Smaller, body-only hitbox (recorded in the run's config). */
+  forgivingHitbox: false,
+  /** Debug overlay: hitboxes, pipe rectangles and the fatal contact point. */
+  showHitboxes: false,
+  /** Language id from i18n.js, or 'auto' to follow the browser. */
+  language: 'auto',
+  /** Plain white pipes on a black sky instead of the theme's look. */
+  highContrast: false,
+  /** Assisted mode: applies `assistSpeed` and `assistGap` to new runs. */
+  assisted: false,
+  /** Game speed in assisted mode, MIN_ASSIST_SPEED..1. */
+  assistSpeed: 0.7,
+  /** Extra pipe gap in assisted mode, as a fraction of the preset's (0..MAX_ASSIST_GAP). */
+  assistGap: 0.3,
+});
+
+const MIN_ASSIST_SPEED = 0.5;
+const MAX_ASSIST_GAP = 0.5;
+
+/**
+ * Whether a stored value can stand in for the default of the same setting.
+ * @param {unknown} value
+ * @param {unknown} fallback
+ * @returns {boolean}
+ */
+function isValidSetting(value, fallback) {
+  if (Array.isArray(fallback)) return Array.isArray(value) && value.every((v) => typeof v === 'string');
+  if (typeof fallback === 'number') return typeof value === 'number' && value >= 0 && value <= 1;
+  return typeof value === typeof fallback;
+}
+
+/**
+ * Safely reads settings from localStorage. Unknown or invalid fields fall back to defaults;
+ * reduced motion defaults to the OS preference.
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+function readSettings() {
+  const defaults = {
+    ...DEFAULT_SETTINGS,
+    reducedMotion: Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+  };
+  try {
+    const raw = localStorage.getItem(STORAGE_KEYS.settings);
+    const parsed = raw == null ? null : JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') return defaults;
+    const result = { ...defaults };
+    for (const key of Object.keys(defaults)) {
+      if (isValidSetting(parsed[key], defaults[key])) result[key] = parsed[key];
+    }
+    if (!(result.difficulty in DIFFICULTY_PRESETS)) result.difficulty = defaults.difficulty;
+    if (!(result.mode in GAME_MODES)) result.mode = defaults.mode;
+    // Older versions stored a flap key preset without gamepad buttons
+    if (!parsed.flapBindings && isValidSetting(parsed.flapKeys, [])) {
+      result.flapBindings = [...parsed.flapKeys, ...PAD_FACE_BUTTONS];
+    }
+    result.skin = skinById(result.skin).id;
+    result.theme = themeById(result.theme).id;
+    if (result.language !== 'auto') result.language = languageById(result.language).id;
+    result.assistSpeed = Math.max(MIN_ASSIST_SPEED, result.assistSpeed);
+    result.assistGap = Math.min(MAX_ASSIST_GAP, result.assistGap);
+    return result;
+  } catch {
+    return defaults;
   }
-  playStartChime();
 }
 
-/** Resets state to the idle pre-start screen. */
-function resetGame() {
-  state.started = false;
-  state.gameOver = false;
-  state.score = 0;
-  state.newBestAchieved = false;
-  strawberry.y = GAME_HEIGHT / 2;
-  strawberry.vy = 0;
-  pipes.length = 0;
+/**
+ * Best-effort write of settings to localStorage. Swallows quota/access errors.
+ * @param {typeof DEFAULT_SETTINGS} value
+ */
+function writeSettings(value) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(value));
+  } catch {}
 }
 
+const settings = readSettings();
+
+// Screen reader announcements
+const announcer = document.getElementById('announcer');
+const ANNOUNCE_SCORE_EVERY = 10;
+
 /**
- * Creates a new pipe pair at the provided world x position.
- * @param {number} x
- * @returns {{x:number,width:number,topHeight:number,passed:boolean,styleTop:string,styleBottom:string}}
- */
-function generatePipeAtX(x) {
-  // Random top segment height, keeping reasonable margins
-  const margin = 40;
-  const topHeight = Math.floor(
-    margin + Math.random() * (GAME_HEIGHT - groundHeight - pipeGap - margin * 2)
-  );
-  // Theme: Copilot (top) vs Sonnet (bottom)
-  const styleTop = 'Copilot';
-  const styleBottom = 'Sonnet';
-  return {
-    x,
-    width: pipeWidth,
-    topHeight,
-    passed: false, // for scoring
-    styleTop,
-    styleBottom,
-  };
+ * Reads a short message out through the aria-live region.
+ * @param {string} text
+ */
+function announce(text) {
+  if (!announcer) return;
+  // Clearing first makes screen readers repeat a message identical to the last one
+  announcer.textContent = '';
+  setTimeout(() => {
+    announcer.textContent = text;
+  }, 50);
+}
+
+// Localization
+// The developer overlay stays in English; everything a player reads goes through `t`.
+/** @returns {string} The browser's preferred supported language id. */
+function browserLanguage() {
+  return detectLanguage(navigator.languages || [navigator.language || '']);
+}
+
+/** @returns {import('./i18n.js').Language} The language setting, or the browser's on auto. */
+function currentLanguage() {
+  return languageById(settings.language === 'auto' ? browserLanguage() : settings.language);
 }
 
 /**
- * Advances the simulation by dt milliseconds (frame independent).
- * Handles physics, spawning, scoring and collision detection.
- * @param {number} dt - Delta time in ms.
+ * Translates a catalog key into the current language.
+ * @param {string} key
+ * @param {Record<string, string|number>} [params]
+ * @returns {string}
  */
-function update(dt) {
-  if (!state.started || state.gameOver) return;
+function t(key, params) {
+  return translate(currentLanguage().id, key, params);
+}
 
-  // dt in seconds for framerate-independent movement
-  const dtS = dt / 1000;
-
-  // Apply gravity and integrate with clamped velocities
-  strawberry.vy += gravity * dtS;
-  if (strawberry.vy > terminalVelDown) strawberry.vy = terminalVelDown;
-  if (strawberry.vy < terminalVelUp) strawberry.vy = terminalVelUp;
-  strawberry.y += strawberry.vy * dtS;
-
-  // Smooth rotation toward a target based on velocity
-  const targetRot = Math.min(0.45, Math.max(-0.6, strawberry.vy / 600));
-  const rotLerp = Math.min(1, dtS * 10); // responsive but smooth
-  strawberry.rotation += (targetRot - strawberry.rotation) * rotLerp;
-
-  // Ground and ceiling collision
-  if (strawberry.y + strawberry.radius > GAME_HEIGHT - groundHeight) {
-    strawberry.y = GAME_HEIGHT - groundHeight - strawberry.radius;
-    die();
-  }
-  if (strawberry.y - strawberry.radius < 0) {
-    strawberry.y = strawberry.radius;
-    strawberry.vy = 0; // prevent clipping
-  }
-
-  // Move pipes
-  for (const pipe of pipes) {
-    pipe.x -= pipeSpeed * dtS;
-  }
-
-  // Parallax offsets
-  // Advance offsets continuously; wrap only when drawing to avoid visible jumps
-  bgOffset.stars += parallax.stars * dtS;
-  bgOffset.hills += parallax.hills * dtS;
-  bgOffset.clouds += parallax.clouds * dtS;
-  bgOffset.bushes += parallax.bushes * dtS;
-
-  // Spawn new pipes and remove offscreen
-  const first = pipes[0];
-  if (first && first.x + pipeWidth < -10) {
-    pipes.shift();
-  }
-  const last = pipes[pipes.length - 1];
-  if (last && last.x < GAME_WIDTH - pipeSpacing) {
-    pipes.push(generatePipeAtX(last.x + pipeSpacing));
-  }
-
-  // Scoring and collisions
-  for (const pipe of pipes) {
-    // Score when passing pipe center
-    if (!pipe.passed && strawberry.x > pipe.x + pipe.width) {
-      pipe.passed = true;
-      state.score += 1;
-      playPassBeep(state.score);
-      if (state.score > state.best) {
-        state.newBestAchieved = true;
-        state.best = state.score;
-        writeBestScore(state.best);
-      }
-    }
+/** @type {Map<string, Intl.NumberFormat>} One formatter per locale, created on first use. */
+const numberFormats = new Map();
 
-    // Collision: circle vs axis-aligned rectangles (top and bottom segments)
-    if (circleRectCollision(strawberry.x, strawberry.y, strawberry.radius, pipe.x, 0, pipe.width, pipe.topHeight)) {
-      die();
-    }
-    const bottomY = pipe.topHeight + pipeGap;
-    const bottomHeight = GAME_HEIGHT - groundHeight - bottomY;
-    if (circleRectCollision(strawberry.x, strawberry.y, strawberry.radius, pipe.x, bottomY, pipe.width, bottomHeight)) {
-      die();
-    }
-  }
+/**
+ * Formats a number with the current locale's digit grouping and decimal mark.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  const { locale } = currentLanguage();
+  if (!numberFormats.has(locale)) numberFormats.set(locale, new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }));
+  return numberFormats.get(locale).format(value);
 }
 
-/** Flags the current run as over and plays a sound effect. */
-function die() {
-  state.gameOver = true;
-  playGameOverFx();
+/** Keeps `<html lang>` in step with the canvas text. */
+function applyLanguage() {
+  document.documentElement.lang = currentLanguage().locale;
 }
+applyLanguage();
 
 /**
- * Circle vs axis-aligned rectangle collision test.
- * @param {number} cx
- * @param {number} cy
- * @param {number} cr
- * @param {number} rx
- * @param {number} ry
- * @param {number} rw
- * @param {number} rh
- * @returns {boolean}
+ * @typedef {Object} Wallet
+ * @property {number} seeds - Collected seeds not yet spent.
+ * @property {string[]} unlocked - Skin ids bought so far (free skins are always owned).
+ */
+
+/**
+ * Safely reads the seed wallet; anything missing or corrupt starts from empty.
+ * @returns {Wallet}
+ */
+function readWallet() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEYS.wallet) || 'null');
+    return {
+      seeds: raw && Number.isInteger(raw.seeds) && raw.seeds >= 0 ? raw.seeds : 0,
+      unlocked: raw && Array.isArray(raw.unlocked) ? raw.unlocked.filter((id) => typeof id === 'string') : [],
+    };
+  } catch {
+    return { seeds: 0, unlocked: [] };
+  }
+}
+
+/**
+ * Best-effort write of the wallet. Swallows quota/access errors.
+ * @param {Wallet} value
  */
-function circleRectCollision(cx, cy, cr, rx, ry, rw, rh) {
-  const nearestX = Math.max(rx, Math.min(cx, rx + rw));
-  const nearestY = Math.max(ry, Math.min(cy, ry + rh));
-  const dx = cx - nearestX;
-  const dy = cy - nearestY;
-  return dx * dx + dy * dy <= cr * cr;
+function writeWallet(value) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.wallet, JSON.stringify(value));
+  } catch {}
 }
 
-// Drawing helpers
-function drawBackground() {
-  const groundY = GAME_HEIGHT - groundHeight;
+const wallet = readWallet();
 
-  // Sky gradient banding (subtle stripes)
-  for (let y = 0; y < groundY; y += 8) {
-    const shade = 16 + Math.floor((y / groundY) * 8);
-    ctx.fillStyle = `rgb(${shade}, ${shade + 1}, ${shade + 6})`;
-    ctx.fillRect(0, y, GAME_WIDTH, 8);
+/**
+ * Safely reads achievement progress; anything missing or corrupt starts from empty.
+ * @returns {import('./achievements.js').AchievementProgress}
+ */
+function readAchievements() {
+  try {
+    return parseAchievementProgress(JSON.parse(localStorage.getItem(STORAGE_KEYS.achievements) || 'null'));
+  } catch {
+    return parseAchievementProgress(null);
   }
+}
 
-  // Stars layer (tiny squares)
-  ctx.fillStyle = '#cbd5e1';
-  const starsStep = 32;
-  const starsOffset = Math.round(bgOffset.stars % starsStep);
-  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += starsStep) {
-    const px = Math.round(x - starsOffset);
-    const py = 8 + ((x * 17) % (groundY - 120));
-    if (py < groundY - 120) ctx.fillRect(px, py, 2, 2);
+/**
+ * Best-effort write of achievement progress. Swallows quota/access errors.
+ * @param {import('./achievements.js').AchievementProgress} value
+ */
+function writeAchievements(value) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.achievements, JSON.stringify(value));
+  } catch {}
+}
+
+const achievementProgress = readAchievements();
+
+/**
+ * Safely reads the course last edited; missing or corrupt ones yield the default course.
+ * @returns {import('./course.js').Course}
+ */
+function readCourse() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEYS.course);
+    return raw == null ? defaultCourse() : parseCourse(raw);
+  } catch {
+    return defaultCourse();
   }
+}
 
-  // Hills layer
-  ctx.fillStyle = '#0f2b2b';
-  const hillY = groundY - 40;
-  const hillsStep = 80;
-  const hillsOffset = Math.round(bgOffset.hills % hillsStep);
-  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += hillsStep) {
-    const px = Math.round(x - hillsOffset);
-    ctx.fillRect(px, hillY, 60, 40);
+/**
+ * Best-effort write of the course being edited. Swallows quota/access errors.
+ * @param {import('./course.js').Course} course
+ */
+function writeCourse(course) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.course, serializeCourse(course));
+  } catch {}
+}
+
+/**
+ * Simulation config for new runs: the difficulty preset and game mode plus gameplay settings.
+ * @param {keyof typeof GAME_MODES} [mode] - Defaults to the selected mode; course tests
+ *   always play endless, so they run the course as it was laid out.
+ * @returns {import('./core.js').DEFAULT_CONFIG}
+ */
+function runConfig(mode = editor.testing ? 'endless' : settings.mode) {
+  const base = { ...configForDifficulty(settings.difficulty), forgivingHitbox: settings.forgivingHitbox ? 1 : 0 };
+  const config = configForMode(base, mode);
+  if (settings.assisted) {
+    config.gameSpeed = settings.assistSpeed;
+    config.pipeGap = Math.round(config.pipeGap * (1 + settings.assistGap));
+    config.minPipeGap = Math.round(config.minPipeGap * (1 + settings.assistGap));
   }
+  return config;
+}
 
-  // Clouds (blocky)
-  ctx.fillStyle = '#1f2937';
-  const cloudsStep = 120;
-  const cloudsOffset = Math.round(bgOffset.clouds % cloudsStep);
-  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += cloudsStep) {
-    const px = Math.round(x - cloudsOffset);
-    const base = 60 + ((x * 13) % 60);
-    ctx.fillRect(px, base, 40, 10);
-    ctx.fillRect(px + 16, base - 8, 32, 10);
-    ctx.fillRect(px + 28, base + 8, 28, 10);
+// Settings that feed `runConfig`; changing one re-applies it to the idle game.
+const RUN_CONFIG_SETTINGS = ['forgivingHitbox', 'assisted', 'assistSpeed', 'assistGap'];
+
+/**
+ * Best score of the selected mode.
+ * @returns {number}
+ */
+function modeBest() {
+  return settings.mode === 'endless' ? records.best : modeBests[settings.mode] || 0;
+}
+
+/**
+ * Stores a new best score for the selected mode.
+ * @param {number} best
+ */
+function saveModeBest(best) {
+  if (settings.mode === 'endless') {
+    records.best = best;
+    writeRecords(records);
+  } else {
+    modeBests[settings.mode] = best;
+    writeModeBests(modeBests);
   }
+}
 
-  // Ground
-  ctx.fillStyle = '#0c0f18';
-  ctx.fillRect(0, groundY, GAME_WIDTH, groundHeight);
+// The simulation lives in core.js; this module renders it and feeds it input.
+const game = createGame({
+  best: modeBest(),
+  // The editor state is set up further down; nothing is being test-played yet
+  config: runConfig(settings.mode),
+  theme: themeById(settings.theme),
+});
+const { state } = game;
 
-  // Foreground bushes
-  ctx.fillStyle = '#064e3b';
-  const bushesStep = 64;
-  const bushesOffset = Math.round(bgOffset.bushes % bushesStep);
-  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += bushesStep) {
-    const px = Math.round(x - bushesOffset);
-    const by = groundY - 12;
-    ctx.fillRect(px, by, 24, 12);
-    ctx.fillRect(px + 12, by - 8, 24, 12);
-    ctx.fillRect(px + 24, by, 24, 12);
+// Browser-side session options (not part of the simulation)
+const session = {
+  /** Daily Challenge selected on the idle screen. */
+  daily: urlSeed.daily,
+  /** Two players share the device and the course; such runs are never recorded. */
+  versus: false,
+  /** Stored best when the current run started, to tell whether it beat an earlier one. */
+  bestBefore: 0,
+  /** @type {import('./replay.js').RunLog|null} Log being recorded for the current run. */
+  runLog: null,
+  /** @type {import('./replay.js').RunLog|null} Log of the last finished run. */
+  lastRun: null,
+  /** Replay being watched, or null while playing normally. */
+  replay: null,
+  /** @type {{text:string, until:number}|null} Short status message shown at the top. */
+  notice: null,
+  /** @type {import('./replay.js').RunLog|null} Best run so far, raced as a ghost. */
+  ghostLog: readGhostLog(settings.difficulty, settings.mode),
+  /** Ghost being raced in the current run, or null. */
+  ghost: null,
+  /** Run is paused (simulation frozen, pause overlay shown). */
+  paused: false,
+  /** Milliseconds left in the resume countdown; the simulation stays frozen until 0. */
+  countdown: 0,
+  /** @type {keyof typeof SCREENS|null} Open menu screen, drawn over the idle screen. */
+  screen: null,
+  /** Highlighted row in the open menu. */
+  menuIndex: 0,
+  /** @type {RunRecord|null} Leaderboard-worthy run waiting for initials. */
+  pendingEntry: null,
+  /** Initials being entered for `pendingEntry`. */
+  initials: ['A', 'A', 'A'],
+  /** Page shown on the history screen. */
+  historyPage: 0,
+  /** @type {keyof typeof BINDING_ACTIONS|null} Action waiting for a key/button on the controls screen. */
+  capture: null,
+  /** @type {ServiceWorker|null} New version installed and waiting for the player's go-ahead. */
+  updateWorker: null,
+  /** The player accepted the update; reload when the new worker takes over. */
+  updating: false,
+};
+
+// Flaps requested by input, per player, applied on the next simulation step
+const flapQueued = [false, false];
+
+// Controls
+/**
+ * Handles a single flap input depending on the current game state.
+ * @param {number|null} [player] - Who flaps; null only starts or restarts (a shared key in versus).
+ */
+function flap(player = 0) {
+  ensureAudio();
+  if (session.paused) {
+    resumeGame();
+    return;
+  }
+  if (session.countdown > 0) return;
+  if (!state.started) {
+    startGame();
+    return;
+  }
+  if (state.gameOver) {
+    // Let the death sequence play out before accepting a restart
+    if (effects.dying > 0) return;
+    game.reset();
+    resetEffects();
+    flapQueued.fill(false);
+    return;
+  }
+  if (player != null) flapQueued[player] = true;
+}
+
+// Tappable regions registered while drawing, in logical game units. Rebuilt every frame.
+const hitRegions = [];
+
+// Handler that keeps receiving pointer moves after a region asked to be dragged.
+let dragHandler = null;
+
+/**
+ * Registers a rectangle that reacts to taps/clicks for the current frame.
+ * `onPress` receives the pointer position in game units; if it also returns a function,
+ * that function keeps receiving positions until the pointer is released (dragging).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ * @param {(gx:number, gy:number) => void|((gx:number, gy:number) => void)} onPress
+ */
+function addHitRegion(x, y, w, h, onPress) {
+  hitRegions.push({ x, y, w, h, onPress });
+}
+
+/**
+ * Converts a pointer event position to logical game units.
+ * @param {PointerEvent} e
+ * @returns {{gx:number, gy:number}|null}
+ */
+function toGamePoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  if (!rect.width || !rect.height) return null;
+  return {
+    gx: ((e.clientX - rect.left) / rect.width) * GAME_WIDTH,
+    gy: ((e.clientY - rect.top) / rect.height) * GAME_HEIGHT,
+  };
+}
+
+/**
+ * Runs the topmost hit region under the pointer, if any.
+ * @param {PointerEvent} e
+ * @returns {boolean} Whether a region consumed the press.
+ */
+function pressHitRegion(e) {
+  const point = toGamePoint(e);
+  if (!point) return false;
+  const { gx, gy } = point;
+  for (let i = hitRegions.length - 1; i >= 0; i--) {
+    const r = hitRegions[i];
+    if (gx >= r.x && gx <= r.x + r.w && gy >= r.y && gy <= r.y + r.h) {
+      const drag = r.onPress(gx, gy);
+      dragHandler = typeof drag === 'function' ? drag : null;
+      return true;
+    }
+  }
+  return false;
+}
+
+/** Shows or hides the ghost; takes effect from the next run. */
+function toggleGhost() {
+  if (state.started && !state.gameOver) return;
+  setSetting('ghostEnabled', !settings.ghostEnabled);
+}
+
+const DIFFICULTY_IDS = /** @type {(keyof typeof DIFFICULTY_PRESETS)[]} */ (Object.keys(DIFFICULTY_PRESETS));
+
+/**
+ * Switches the difficulty preset on the idle screen, along with the ghost recorded on it.
+ * @param {keyof typeof DIFFICULTY_PRESETS} id
+ */
+function selectDifficulty(id) {
+  if (state.started && !state.gameOver) return;
+  setSetting('difficulty', id);
+  Object.assign(game.config, runConfig());
+  session.ghostLog = readGhostLog(id, settings.mode);
+}
+
+const MODE_IDS = /** @type {(keyof typeof GAME_MODES)[]} */ (Object.keys(GAME_MODES));
+
+/**
+ * Switches the game mode on the idle screen, along with its best score and ghost.
+ * @param {keyof typeof GAME_MODES} id
+ */
+function selectMode(id) {
+  if (state.started && !state.gameOver) return;
+  setSetting('mode', id);
+  Object.assign(game.config, runConfig());
+  session.ghostLog = readGhostLog(settings.difficulty, id);
+  state.best = modeBest();
+  state.newBestAchieved = false;
+}
+
+/** Moves on to the next game mode. */
+function cycleMode() {
+  selectMode(MODE_IDS[(MODE_IDS.indexOf(settings.mode) + 1) % MODE_IDS.length]);
+}
+
+/** Switches between one player and same-device versus on the idle screen. */
+function toggleVersus() {
+  if (state.started || editor.testing) return;
+  session.versus = !session.versus;
+  game.setPlayerCount(session.versus ? 2 : 1);
+}
+
+/**
+ * The versus player a key or button flaps, if any.
+ * @param {string} code
+ * @returns {number} Player index, or -1.
+ */
+function versusPlayerFor(code) {
+  if (settings.player1Bindings.includes(code)) return 0;
+  if (settings.player2Bindings.includes(code)) return 1;
+  return -1;
+}
+
+/** Toggles the Daily Challenge on the idle screen. */
+function toggleDaily() {
+  if (state.started) return;
+  session.daily = !session.daily;
+}
+
+window.addEventListener('pointerdown', (e) => {
+  ensureAudio();
+  if (pressHitRegion(e)) return;
+  // While paused, in a menu or in the editor only buttons react to taps
+  if (session.replay || session.paused || session.screen || editor.open) return;
+  // In versus the left half of the screen belongs to player 1, the right half to player 2
+  const point = session.versus ? toGamePoint(e) : null;
+  flap(point ? Number(point.gx >= GAME_WIDTH / 2) : 0);
+}, { passive: true });
+window.addEventListener('pointermove', (e) => {
+  if (!dragHandler) return;
+  const point = toGamePoint(e);
+  if (point) dragHandler(point.gx, point.gy);
+}, { passive: true });
+window.addEventListener('pointerup', () => {
+  dragHandler = null;
+}, { passive: true });
+/**
+ * Routes a key press, or a gamepad button translated to one, to whatever is on screen.
+ * @param {{code:string, repeat?:boolean, preventDefault:() => void}} e
+ */
+function handleKey(e) {
+  if (e.code === 'Backquote' && !session.capture) {
+    if (!e.repeat) toggleDevOverlay();
+    return;
+  }
+  if (dev.open && !session.replay && !session.screen && !editor.open && handleDevKey(e)) return;
+  if (session.replay) {
+    handleReplayKey(e);
+    return;
+  }
+  if (session.screen) {
+    handleMenuKey(e);
+    return;
+  }
+  if (editor.open) {
+    handleEditorKey(e);
+    return;
+  }
+  // Holding a key must not keep flapping or toggling pause
+  if (settings.pauseBindings.includes(e.code)) {
+    if (!e.repeat) togglePause();
+  } else if (session.versus && versusPlayerFor(e.code) >= 0) {
+    e.preventDefault();
+    if (!e.repeat) flap(versusPlayerFor(e.code));
+  } else if (settings.flapBindings.includes(e.code)) {
+    e.preventDefault();
+    if (!e.repeat) flap(session.versus ? null : 0);
+  } else if (e.code === 'KeyR' && session.paused) {
+    restartFromPause();
+  } else if (e.code === 'KeyQ' && session.paused) {
+    endZenRun();
+  } else if (e.code === 'KeyD') {
+    toggleDaily();
+  } else if (e.code === 'KeyG') {
+    toggleGhost();
+  } else if (e.code === 'KeyV') {
+    toggleVersus();
+  } else if (e.code === 'Digit1' || e.code === 'Digit2' || e.code === 'Digit3') {
+    selectDifficulty(DIFFICULTY_IDS[Number(e.code.slice(-1)) - 1]);
+  } else if (e.code === 'KeyM') {
+    cycleMode();
+  } else if (e.code === 'KeyR' && session.lastRun && !session.versus && state.gameOver && effects.dying <= 0) {
+    openReplay(session.lastRun);
+  } else if (e.code === 'KeyC' && state.gameOver && effects.dying <= 0) {
+    exportClip();
+  } else if (e.code === 'KeyS') {
+    openScreen('settings');
+  } else if (e.code === 'KeyL') {
+    openScreen('leaderboard');
+  } else if (e.code === 'KeyH') {
+    openScreen('history');
+  } else if (e.code === 'KeyK') {
+    openScreen('skins');
+  } else if (e.code === 'KeyA') {
+    openScreen('achievements');
+  } else if (e.code === 'KeyE') {
+    openEditor();
+  } else if (e.code === 'KeyU') {
+    applyUpdate();
+  }
+}
+
+window.addEventListener('keydown', (e) => {
+  ensureAudio();
+  handleKey(e);
+}, { passive: false });
+
+// Gamepads are polled once per frame; only fresh presses count, so held buttons never repeat.
+// In menus and the replay viewer the d-pad and A/B buttons navigate like arrows/Enter/Escape.
+const PAD_NAV_CODES = { 0: 'Enter', 1: 'Escape', 12: 'ArrowUp', 13: 'ArrowDown', 14: 'ArrowLeft', 15: 'ArrowRight' };
+const PAD_REPLAY_CODES = { ...PAD_NAV_CODES, 0: 'Space' };
+/** @type {Map<number, boolean[]>} Button states seen last frame, per gamepad index. */
+const padButtonsDown = new Map();
+
+/** Reads every connected gamepad and dispatches newly pressed buttons. */
+function pollGamepads() {
+  if (!navigator.getGamepads) return;
+  for (const pad of navigator.getGamepads()) {
+    if (!pad) continue;
+    const before = padButtonsDown.get(pad.index) || [];
+    const now = pad.buttons.map((b) => b.pressed);
+    padButtonsDown.set(pad.index, now);
+    now.forEach((pressed, i) => {
+      if (pressed && !before[i]) handlePadButton(i);
+    });
+  }
+}
+
+/**
+ * @param {number} index - Standard-mapping button index.
+ */
+function handlePadButton(index) {
+  const code = `Pad${index}`;
+  const navigating = !session.capture && (session.screen || session.replay || editor.open);
+  const table = session.replay ? PAD_REPLAY_CODES : PAD_NAV_CODES;
+  handleKey({ code: navigating && table[index] ? table[index] : code, repeat: false, preventDefault() {} });
+}
+
+window.addEventListener('gamepadconnected', (e) => showNotice(t('notice.gamepad', { id: e.gamepad.id.slice(0, 24) })));
+window.addEventListener('gamepaddisconnected', (e) => padButtonsDown.delete(e.gamepad.index));
+
+// Never let the run continue unattended
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    pauseGame();
+    stopMusic();
+  } else {
+    resumeMusic();
+  }
+});
+window.addEventListener('blur', pauseGame);
+
+// Dropping a replay file anywhere on the page opens it; in the editor, a course file loads
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => {
+  e.preventDefault();
+  const file = e.dataTransfer && e.dataTransfer.files[0];
+  if (file) file.text().then(editor.open ? openCourseText : openReplayText, () => showNotice(t('notice.readFailed')));
+});
+
+// Offline support
+// The service worker precaches the game. A new version waits until the player accepts the
+// prompt, so nothing reloads in the middle of a run.
+function registerServiceWorker() {
+  // Missing on insecure origins and in some private browsing modes
+  if (!navigator.serviceWorker || window.location.protocol === 'file:') return;
+  navigator.serviceWorker.register('./sw.js').then((registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+      });
+    });
+  }, () => {});
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (session.updating) window.location.reload();
+  });
+}
+
+/**
+ * Remembers a freshly installed version and lets the player know.
+ * @param {ServiceWorker} worker
+ */
+function offerUpdate(worker) {
+  session.updateWorker = worker;
+  showNotice(t('notice.update'));
+}
+
+/** Activates the waiting version; the page reloads once it has taken over. */
+function applyUpdate() {
+  const worker = session.updateWorker;
+  if (!worker || isRunning()) return;
+  session.updating = true;
+  worker.postMessage({ type: 'skip-waiting' });
+}
+registerServiceWorker();
+
+// Game loop timing
+// The simulation advances in fixed `STEP_MS` steps; rendering interpolates between the last two.
+const MAX_FRAME_MS = 250; // drop time after long stalls instead of simulating it all
+let lastTime = 0;
+let accumulator = 0;
+function loop(ts) {
+  const frameMs = lastTime ? Math.min(MAX_FRAME_MS, ts - lastTime) : 0;
+  lastTime = ts;
+  if (frameMs > 0) frameStats.record(frameMs);
+  pollGamepads();
+  updateToasts(frameMs);
+  updateMusic(session.replay ? session.replay.player.game : game);
+  if (session.replay) {
+    draw(updateReplay(frameMs));
+  } else if (session.paused || session.countdown > 0) {
+    // Frozen: keep the last interpolation factor so nothing jumps on resume
+    if (session.countdown > 0) session.countdown = Math.max(0, session.countdown - frameMs);
+    draw(accumulator / STEP_MS);
+  } else if (dev.frozen) {
+    // Developer overlay: only advance when a single step was asked for
+    if (dev.stepQueued) {
+      dev.stepQueued = false;
+      update(STEP_MS);
+      updateEffects(STEP_MS);
+    }
+    draw(accumulator / STEP_MS);
+  } else {
+    const scaledMs = frameMs * dev.timeScale;
+    accumulator += scaledMs;
+    while (accumulator >= STEP_MS) {
+      update(STEP_MS);
+      accumulator -= STEP_MS;
+    }
+    updateEffects(scaledMs);
+    draw(accumulator / STEP_MS);
+  }
+  recordClip(frameMs);
+  requestAnimationFrame(loop);
+}
+
+const FONT_WAIT_MS = 3000; // start with the fallback font rather than not at all
+
+/**
+ * Resolves once the pixel font has loaded (or after FONT_WAIT_MS), since the HUD and the
+ * menus measure text while drawing.
+ * @returns {Promise<void>}
+ */
+function waitForFonts() {
+  if (!document.fonts) return Promise.resolve();
+  const loaded = Promise.all([
+    document.fonts.load('16px Silkscreen'),
+    document.fonts.load('bold 16px Silkscreen'),
+  ]);
+  let timer = 0;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, FONT_WAIT_MS);
+  });
+  return Promise.race([loaded, timeout]).then(() => {}, () => {}).then(() => clearTimeout(timer));
+}
+waitForFonts().then(() => requestAnimationFrame(loop));
+
+// Menus
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} label
+ * @property {() => string} [value] - Current value shown on the right.
+ * @property {(dir:number) => void} [adjust] - Left/right (-1/+1) changes the value.
+ * @property {() => void} [activate] - Enter/tap runs an action.
+ */
+
+/**
+ * Stores one setting, persists all settings and applies side effects.
+ * @template {keyof typeof DEFAULT_SETTINGS} K
+ * @param {K} key
+ * @param {(typeof DEFAULT_SETTINGS)[K]} value
+ */
+function setSetting(key, value) {
+  settings[key] = value;
+  writeSettings(settings);
+  applyAudioSettings();
+  if (RUN_CONFIG_SETTINGS.includes(key)) Object.assign(game.config, runConfig());
+  if (key === 'language') applyLanguage();
+}
+
+/**
+ * @param {boolean} value
+ * @returns {string}
+ */
+function onOff(value) {
+  return value ? t('common.on') : t('common.off');
+}
+
+/**
+ * Builds a menu row that flips a boolean setting.
+ * @param {string} label
+ * @param {keyof typeof DEFAULT_SETTINGS} key
+ * @returns {MenuItem}
+ */
+function toggleItem(label, key) {
+  return { label, value: () => onOff(settings[key]), adjust: () => setSetting(key, !settings[key]) };
+}
+
+/**
+ * Builds a menu row that moves a 0..1 volume setting in 10% steps.
+ * @param {string} label
+ * @param {keyof typeof DEFAULT_SETTINGS} key
+ * @returns {MenuItem}
+ */
+function volumeItem(label, key) {
+  return percentItem(label, key, 0, 1);
+}
+
+/**
+ * Builds a menu row that moves a fractional setting between `min` and `max` in 10% steps.
+ * @param {string} label
+ * @param {keyof typeof DEFAULT_SETTINGS} key
+ * @param {number} min
+ * @param {number} max
+ * @param {string} [prefix] - Shown before the percentage, e.g. '+'.
+ * @returns {MenuItem}
+ */
+function percentItem(label, key, min, max, prefix = '') {
+  return {
+    label,
+    value: () => `${prefix}${Math.round(settings[key] * 100)}%`,
+    adjust: (dir) => setSetting(key, Math.min(max, Math.max(min, Math.round(settings[key] * 10 + dir) / 10))),
+  };
+}
+
+/** @returns {MenuItem[]} */
+function settingsItems() {
+  const themeIndex = () => THEME_PACKS.indexOf(themeById(settings.theme));
+  const languageIds = ['auto', ...LANGUAGES.map((lang) => lang.id)];
+  return [
+    volumeItem(t('settings.masterVolume'), 'masterVolume'),
+    volumeItem(t('settings.sfxVolume'), 'sfxVolume'),
+    volumeItem(t('settings.musicVolume'), 'musicVolume'),
+    toggleItem(t('settings.muted'), 'muted'),
+    toggleItem(t('settings.showBest'), 'showBest'),
+    toggleItem(t('settings.ghost'), 'ghostEnabled'),
+    toggleItem(t('settings.ghostStatus'), 'showGhostStatus'),
+    toggleItem(t('settings.forgivingHitbox'), 'forgivingHitbox'),
+    toggleItem(t('settings.showHitboxes'), 'showHitboxes'),
+    { label: t('screen.controls'), activate: () => openScreen('controls') },
+    { label: t('screen.accessibility'), activate: () => openScreen('accessibility') },
+    {
+      label: t('settings.language'),
+      value: () => (settings.language === 'auto'
+        ? t('settings.languageAuto', { name: languageById(browserLanguage()).name })
+        : languageById(settings.language).name),
+      adjust: (dir) => {
+        const n = languageIds.length;
+        setSetting('language', languageIds[(languageIds.indexOf(settings.language) + dir + n) % n]);
+      },
+    },
+    {
+      label: t('settings.theme'),
+      value: () => t(`theme.${themeById(settings.theme).id}`),
+      adjust: (dir) => {
+        const n = THEME_PACKS.length;
+        const next = THEME_PACKS[(themeIndex() + dir + n) % n];
+        setSetting('theme', next.id);
+        game.setTheme(next);
+      },
+    },
+    { label: t('common.back'), activate: closeScreen },
+  ];
+}
+
+/** @returns {MenuItem[]} */
+function accessibilityItems() {
+  return [
+    toggleItem(t('settings.highContrast'), 'highContrast'),
+    toggleItem(t('settings.reducedMotion'), 'reducedMotion'),
+    toggleItem(t('settings.assisted'), 'assisted'),
+    percentItem(t('settings.assistSpeed'), 'assistSpeed', MIN_ASSIST_SPEED, 1),
+    percentItem(t('settings.assistGap'), 'assistGap', 0, MAX_ASSIST_GAP, '+'),
+    { label: t('common.back'), activate: () => openScreen('settings') },
+  ];
+}
+
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/** @returns {MenuItem[]} */
+function initialsItems() {
+  const letterItem = (i) => ({
+    label: t('initials.letter', { n: i + 1 }),
+    value: () => session.initials[i],
+    adjust: (dir) => {
+      const n = INITIALS_ALPHABET.length;
+      const idx = Math.max(0, INITIALS_ALPHABET.indexOf(session.initials[i]));
+      session.initials[i] = INITIALS_ALPHABET[(idx + dir + n) % n];
+    },
+  });
+  return [letterItem(0), letterItem(1), letterItem(2), { label: t('common.save'), activate: saveInitials }];
+}
+
+/**
+ * Typing a letter or digit fills the highlighted slot and moves to the next one.
+ * @param {KeyboardEvent} e
+ * @returns {boolean} Whether the key was handled.
+ */
+function handleInitialsKey(e) {
+  const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(e.code);
+  if (match && session.menuIndex < 3) {
+    session.initials[session.menuIndex] = match[1] || match[2];
+    session.menuIndex += 1;
+    return true;
+  }
+  // Escape saves too, so a qualifying run is never lost
+  if (e.code === 'Escape') {
+    saveInitials();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * @param {number} y - Top of the content area.
+ * @returns {number} Where menu rows should start.
+ */
+function drawInitialsHeader(y) {
+  const entry = session.pendingEntry;
+  ctx.fillStyle = '#facc15';
+  ctx.font = 'bold 16px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(t('initials.score', { size: LEADERBOARD_SIZE, score: formatNumber(entry ? entry.score : 0) }), GAME_WIDTH / 2, y + 10);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.font = 'bold 36px Silkscreen, monospace';
+  ctx.fillText(session.initials.join(''), GAME_WIDTH / 2, y + 56);
+  return y + 96;
+}
+
+/**
+ * Formats a run duration as m:ss.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a stored ISO date for tables (short date in the current locale), or a dash if unknown.
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatShortDate(iso) {
+  if (!iso) return '-';
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '-';
+  return date.toLocaleDateString(currentLanguage().locale, { month: '2-digit', day: '2-digit' });
+}
+
+/**
+ * Draws a table of runs with fixed columns.
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @param {number} y - Top edge.
+ * @param {number} [highlight] - Row index to highlight.
+ * @returns {number} Bottom edge.
+ */
+function drawTable(headers, rows, y, highlight = -1) {
+  // Column anchors (right-aligned numbers after the first column)
+  const xs = [24, 92, 168, 226, 284, 336];
+  const rowH = 20;
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#9aa0a6';
+  headers.forEach((h, i) => {
+    ctx.textAlign = i === 0 ? 'left' : 'right';
+    ctx.fillText(h, xs[i], y + rowH / 2);
+  });
+  y += rowH;
+  rows.forEach((row, r) => {
+    ctx.fillStyle = r % 2 ? 'rgba(0,0,0,0.35)' : 'rgba(0,0,0,0.5)';
+    ctx.fillRect(16, y, GAME_WIDTH - 32, rowH);
+    ctx.fillStyle = r === highlight ? '#facc15' : '#e7e8ea';
+    row.forEach((cell, i) => {
+      ctx.textAlign = i === 0 ? 'left' : 'right';
+      ctx.fillText(cell, xs[i], y + rowH / 2);
+    });
+    y += rowH;
+  });
+  if (!rows.length) {
+    ctx.fillStyle = '#9aa0a6';
+    ctx.textAlign = 'center';
+    ctx.fillText(t('table.empty'), GAME_WIDTH / 2, y + rowH / 2);
+    y += rowH;
+  }
+  return y;
+}
+
+/**
+ * Short label for a difficulty preset id.
+ * @param {string} id
+ * @returns {string}
+ */
+function difficultyShort(id) {
+  return id in DIFFICULTY_PRESETS ? t(`difficulty.${id}.short`) : '?';
+}
+
+/**
+ * @param {number} y - Top of the content area.
+ * @returns {number} Where menu rows should start.
+ */
+function drawLeaderboard(y) {
+  const rows = records.leaderboard.map((e, i) => [
+    `${i + 1}. ${e.initials}`,
+    formatNumber(e.score),
+    formatDuration(e.durationMs),
+    String(e.flaps),
+    difficultyShort(e.difficulty),
+    formatShortDate(e.date),
+  ]);
+  const latest = records.leaderboard.findIndex((e) => e.date && e.date === (records.history[0] && records.history[0].date));
+  return drawTable(tableHeaders('table.rank'), rows, y, latest) + 12;
+}
+
+/**
+ * Column headers shared by the leaderboard and history tables.
+ * @param {string} firstKey - Catalog key of the first column.
+ * @returns {string[]}
+ */
+function tableHeaders(firstKey) {
+  return [firstKey, 'table.score', 'table.time', 'table.flaps', 'table.difficulty', 'table.date'].map((key) => t(key));
+}
+
+const HISTORY_PAGE_SIZE = 10;
+
+/** @returns {number} */
+function historyPageCount() {
+  return Math.max(1, Math.ceil(records.history.length / HISTORY_PAGE_SIZE));
+}
+
+/**
+ * @param {number} y - Top of the content area.
+ * @returns {number} Where menu rows should start.
+ */
+function drawHistory(y) {
+  const runs = records.history;
+  const avg = (pick) => (runs.length ? runs.reduce((sum, r) => sum + pick(r), 0) / runs.length : 0);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const summary = { runs: formatNumber(runs.length), score: formatNumber(Math.round(avg((r) => r.score) * 10) / 10) };
+  ctx.fillText(t('history.summary', summary), GAME_WIDTH / 2, y + 6);
+  const averages = { time: formatDuration(avg((r) => r.durationMs)), flaps: formatNumber(Math.round(avg((r) => r.flaps))) };
+  ctx.fillText(t('history.averages', averages), GAME_WIDTH / 2, y + 22);
+  const page = Math.min(session.historyPage, historyPageCount() - 1);
+  const start = page * HISTORY_PAGE_SIZE;
+  const rows = runs.slice(start, start + HISTORY_PAGE_SIZE).map((r, i) => [
+    String(start + i + 1),
+    formatNumber(r.score),
+    formatDuration(r.durationMs),
+    String(r.flaps),
+    difficultyShort(r.difficulty),
+    formatShortDate(r.date),
+  ]);
+  return drawTable(tableHeaders('table.run'), rows, y + 36) + 12;
+}
+
+/** @returns {MenuItem[]} */
+function historyItems() {
+  return [
+    {
+      label: t('history.page'),
+      value: () => `${Math.min(session.historyPage, historyPageCount() - 1) + 1}/${historyPageCount()}`,
+      adjust: (dir) => {
+        const n = historyPageCount();
+        session.historyPage = (Math.min(session.historyPage, n - 1) + dir + n) % n;
+      },
+    },
+    { label: t('common.back'), activate: closeScreen },
+  ];
+}
+
+/**
+ * @param {import('./skins.js').Skin} skin
+ * @returns {boolean}
+ */
+function ownsSkin(skin) {
+  return skin.price === 0 || wallet.unlocked.includes(skin.id);
+}
+
+/**
+ * Equips an owned skin, or buys it first when the wallet allows.
+ * @param {import('./skins.js').Skin} skin
+ */
+function chooseSkin(skin) {
+  if (!ownsSkin(skin)) {
+    if (wallet.seeds < skin.price) {
+      showNotice(t('notice.needSeeds', { count: formatNumber(skin.price - wallet.seeds) }));
+      return;
+    }
+    wallet.seeds -= skin.price;
+    wallet.unlocked.push(skin.id);
+    writeWallet(wallet);
+    showNotice(t('notice.unlocked', { name: t(`skin.${skin.id}`) }));
+  }
+  setSetting('skin', skin.id);
+}
+
+/** @returns {MenuItem[]} */
+function skinsItems() {
+  return [
+    ...SKINS.map((skin) => ({
+      label: t(`skin.${skin.id}`),
+      value: () => {
+        if (settings.skin === skin.id) return t('skins.equipped');
+        return ownsSkin(skin) ? t('skins.owned') : t('skins.price', { price: formatNumber(skin.price) });
+      },
+      activate: () => chooseSkin(skin),
+    })),
+    { label: t('common.back'), activate: closeScreen },
+  ];
+}
+
+/**
+ * Shows the wallet and a large preview of the highlighted skin.
+ * @param {number} y - Top of the content area.
+ * @returns {number} Where menu rows should start.
+ */
+function drawSkinsHeader(y) {
+  const skin = SKINS[session.menuIndex] || skinById(settings.skin);
+  ctx.fillStyle = '#ffe08a';
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(t('skins.wallet', { seeds: formatNumber(wallet.seeds) }), GAME_WIDTH / 2, y + 4);
+  drawStrawberry(GAME_WIDTH / 2, y + 56, 30, 0, ownsSkin(skin) ? 1 : 0.5, skin);
+  return y + 104;
+}
+
+const PAD_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'LS', 'RS', 'Pad up', 'Pad down', 'Pad left', 'Pad right'];
+
+/**
+ * Short name for a binding code.
+ * @param {string} code
+ * @returns {string}
+ */
+function bindingLabel(code) {
+  const pad = /^Pad(\d+)$/.exec(code);
+  if (pad) return `Pad ${PAD_LABELS[Number(pad[1])] || pad[1]}`;
+  return code.replace(/^Key|^Digit|^Arrow/, '');
+}
+
+/**
+ * Compact summary of an action's bindings: keys first, then gamepad buttons.
+ * @param {string[]} codes
+ * @returns {string}
+ */
+function bindingsSummary(codes) {
+  const keys = codes.filter((c) => !c.startsWith('Pad')).map(bindingLabel);
+  const pads = codes.filter((c) => c.startsWith('Pad')).map((c) => bindingLabel(c).slice(4));
+  return [...keys, ...(pads.length ? [`Pad ${pads.join('/')}`] : [])].join(' ');
+}
+
+/**
+ * Rebindable actions: the setting holding their codes, the actions that may not share a
+ * code with them (the key router would only ever reach one) and the notice shown when a
+ * code can't be taken away from them.
+ */
+const BINDING_ACTIONS = Object.freeze({
+  flap: { key: 'flapBindings', rivals: ['pause'], onlyNotice: 'notice.onlyFlap' },
+  pause: { key: 'pauseBindings', rivals: ['flap', 'player1', 'player2'], onlyNotice: 'notice.onlyPause' },
+  player1: { key: 'player1Bindings', rivals: ['pause', 'player2'], onlyNotice: 'notice.onlyPlayer1' },
+  player2: { key: 'player2Bindings', rivals: ['pause', 'player1'], onlyNotice: 'notice.onlyPlayer2' },
+});
+
+/**
+ * Adds a key/button to an action's bindings, or removes it if already bound.
+ * An action always keeps at least one binding.
+ * @param {keyof typeof BINDING_ACTIONS} action
+ * @param {string} code
+ */
+function toggleBinding(action, code) {
+  const { key, rivals } = BINDING_ACTIONS[action];
+  const current = settings[key];
+  if (current.includes(code)) {
+    if (current.length === 1) {
+      showNotice(t('notice.keepBinding'));
+      return;
+    }
+    setSetting(key, current.filter((c) => c !== code));
+    showNotice(t('notice.bindingRemoved', { key: bindingLabel(code) }));
+    return;
+  }
+  // One code drives one of the rival actions
+  for (const rival of rivals) {
+    const other = BINDING_ACTIONS[rival].key;
+    if (!settings[other].includes(code)) continue;
+    if (settings[other].length === 1) {
+      showNotice(t(BINDING_ACTIONS[rival].onlyNotice, { key: bindingLabel(code) }));
+      return;
+    }
+  }
+  for (const rival of rivals) {
+    const other = BINDING_ACTIONS[rival].key;
+    if (settings[other].includes(code)) setSetting(other, settings[other].filter((c) => c !== code));
+  }
+  setSetting(key, [...current, code]);
+  showNotice(t('notice.bindingAdded', { key: bindingLabel(code) }));
+}
+
+/** @returns {MenuItem[]} */
+function controlsItems() {
+  const bindingItem = (label, action, key) => ({
+    label,
+    value: () => (session.capture === action ? t('controls.waiting') : bindingsSummary(settings[key])),
+    activate: () => {
+      session.capture = action;
+    },
+  });
+  return [
+    bindingItem(t('controls.flap'), 'flap', 'flapBindings'),
+    bindingItem(t('controls.pause'), 'pause', 'pauseBindings'),
+    bindingItem(t('controls.player1'), 'player1', 'player1Bindings'),
+    bindingItem(t('controls.player2'), 'player2', 'player2Bindings'),
+    {
+      label: t('controls.reset'),
+      activate: () => {
+        for (const [action, { key }] of Object.entries(BINDING_ACTIONS)) setSetting(key, DEFAULT_BINDINGS[action]);
+      },
+    },
+    { label: t('common.back'), activate: () => openScreen('settings') },
+  ];
+}
+
+/**
+ * While waiting for a binding, the next key or gamepad button goes to it (Escape cancels).
+ * @param {{code:string}} e
+ * @returns {boolean} Whether the key was consumed.
+ */
+function handleControlsKey(e) {
+  if (!session.capture) return false;
+  if (e.code !== 'Escape') toggleBinding(session.capture, e.code);
+  session.capture = null;
+  return true;
+}
+
+/**
+ * @param {number} y - Top of the content area.
+ * @returns {number} Where menu rows should start.
+ */
+function drawControlsHelp(y) {
+  ctx.fillStyle = '#9aa0a6';
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(t('controls.help1'), GAME_WIDTH / 2, y + 4);
+  ctx.fillText(t('controls.help2'), GAME_WIDTH / 2, y + 20);
+  return y + 40;
+}
+
+/** @returns {MenuItem[]} */
+function backOnlyItems() {
+  return [{ label: t('common.back'), activate: closeScreen }];
+}
+
+/**
+ * Menu screens reachable from the idle screen; `title` is a catalog key. `draw` renders
+ * extra content above the rows and returns where the rows start; `onKey` can claim keys
+ * before the menu does.
+ * @type {Record<string, {title:string, items:() => MenuItem[], draw?:(y:number) => number, onKey?:(e:KeyboardEvent) => boolean}>}
+ */
+const SCREENS = {
+  settings: { title: 'screen.settings', items: settingsItems },
+  initials: { title: 'screen.initials', items: initialsItems, draw: drawInitialsHeader, onKey: handleInitialsKey },
+  leaderboard: { title: 'screen.leaderboard', items: backOnlyItems, draw: drawLeaderboard },
+  history: { title: 'screen.history', items: historyItems, draw: drawHistory },
+  skins: { title: 'screen.skins', items: skinsItems, draw: drawSkinsHeader },
+  achievements: { title: 'screen.achievements', items: achievementsItems, draw: drawAchievementsHeader },
+  controls: { title: 'screen.controls', items: controlsItems, draw: drawControlsHelp, onKey: handleControlsKey },
+  accessibility: { title: 'screen.accessibility', items: accessibilityItems },
+};
+
+/**
+ * Opens a menu screen (only from the idle or game-over screen).
+ * @param {keyof typeof SCREENS} screen
+ */
+function openScreen(screen) {
+  if (isRunning() || session.paused || effects.dying > 0) return;
+  session.screen = screen;
+  session.menuIndex = 0;
+}
+
+/** Closes the open menu screen. */
+function closeScreen() {
+  session.screen = null;
+  session.capture = null;
+}
+
+/**
+ * Runs a menu row: its action if it has one, otherwise steps its value forward.
+ * @param {MenuItem} item
+ */
+function activateMenuItem(item) {
+  if (item.activate) item.activate();
+  else if (item.adjust) item.adjust(1);
+}
+
+/**
+ * Keyboard navigation for menu screens.
+ * @param {KeyboardEvent} e
+ */
+function handleMenuKey(e) {
+  const screen = SCREENS[session.screen];
+  if (screen.onKey && screen.onKey(e)) return;
+  const items = screen.items();
+  const item = items[session.menuIndex];
+  if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+    e.preventDefault();
+    const dir = e.code === 'ArrowUp' ? -1 : 1;
+    session.menuIndex = (session.menuIndex + dir + items.length) % items.length;
+  } else if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && item && item.adjust) {
+    item.adjust(e.code === 'ArrowLeft' ? -1 : 1);
+  } else if (e.code === 'Enter' || e.code === 'Space') {
+    e.preventDefault();
+    if (item) activateMenuItem(item);
+  } else if (e.code === 'Escape') {
+    closeScreen();
+  }
+}
+
+// Achievements
+// Only recorded single-player runs count; versus and developer runs are never tracked.
+const achievements = createAchievementTracker(achievementProgress);
+const TOAST_MS = 3000;
+const TOAST_SLIDE_MS = 250;
+
+/** @type {{achievement: import('./achievements.js').Achievement, ageMs: number}[]} Toasts waiting or showing, oldest first. */
+const toasts = [];
+
+/**
+ * Saves and shows newly earned achievements.
+ * @param {import('./achievements.js').Achievement[]} earned
+ */
+function celebrate(earned) {
+  if (!earned.length) return;
+  writeAchievements(achievementProgress);
+  for (const achievement of earned) {
+    toasts.push({ achievement, ageMs: 0 });
+    announce(t('a11y.achievement', { name: t(`achievement.${achievement.id}`) }));
+  }
+  playAchievementChime();
+}
+
+/**
+ * Ages the toast on screen; the next one follows when it is done. Runs on real time, so
+ * toasts keep moving through pauses and the death sequence.
+ * @param {number} frameMs
+ */
+function updateToasts(frameMs) {
+  if (!toasts.length) return;
+  toasts[0].ageMs += frameMs;
+  if (toasts[0].ageMs >= TOAST_MS) toasts.shift();
+}
+
+/** @returns {number} Achievements unlocked so far. */
+function unlockedCount() {
+  return ACHIEVEMENTS.filter(({ id }) => achievementProgress.unlocked[id]).length;
+}
+
+/** @returns {MenuItem[]} */
+function achievementsItems() {
+  return [
+    ...ACHIEVEMENTS.map((achievement) => ({
+      label: t(`achievement.${achievement.id}`),
+      value: () => {
+        if (achievementProgress.unlocked[achievement.id]) return t('achievements.done');
+        const { progress } = achievement;
+        if (!progress) return t('achievements.locked');
+        const count = Math.min(progress.goal, achievementProgress.totals[progress.total]);
+        return `${formatNumber(count)}/${formatNumber(progress.goal)}`;
+      },
+    })),
+    { label: t('common.back'), activate: closeScreen },
+  ];
+}
+
+/**
+ * Shows how many are unlocked and what the highlighted achievement asks for.
+ * @param {number} y - Top of the content area.
+ * @returns {number} Where menu rows should start.
+ */
+function drawAchievementsHeader(y) {
+  const achievement = ACHIEVEMENTS[session.menuIndex];
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#facc15';
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  ctx.fillText(t('achievements.count', { count: unlockedCount(), total: ACHIEVEMENTS.length }), GAME_WIDTH / 2, y + 4);
+  if (achievement) {
+    ctx.fillStyle = '#9aa0a6';
+    ctx.font = 'bold 10px Silkscreen, monospace';
+    ctx.fillText(t(`achievement.${achievement.id}.desc`), GAME_WIDTH / 2, y + 24);
+  }
+  return y + 44;
+}
+
+// Clips: the last seconds of a run, sampled from the offscreen buffer and saved as a GIF
+const CLIP_SECONDS = 5;
+const CLIP_FRAME_MS = 100;
+const CLIP_WIDTH = GAME_WIDTH / 2;
+const CLIP_HEIGHT = GAME_HEIGHT / 2;
+const clipCanvas = document.createElement('canvas');
+clipCanvas.width = CLIP_WIDTH;
+clipCanvas.height = CLIP_HEIGHT;
+const clipCtx = clipCanvas.getContext('2d', { willReadFrequently: true });
+
+const clip = {
+  /** @type {ReturnType<typeof createFrameRing>|null} Allocated when the first run starts. */
+  ring: null,
+  /** Real milliseconds since the last captured frame. */
+  sinceMs: 0,
+  /** @type {ReturnType<typeof createGifEncoder>|null} GIF being encoded, if any. */
+  encoder: null,
+};
+
+/** Empties the clip for a new run; the first frame is captured right away. */
+function restartClip() {
+  if (!clip.ring) clip.ring = createFrameRing((CLIP_SECONDS * 1000) / CLIP_FRAME_MS, CLIP_WIDTH * CLIP_HEIGHT * 4);
+  clip.ring.clear();
+  clip.sinceMs = CLIP_FRAME_MS;
+}
+
+/**
+ * Samples the frame just drawn into the clip every CLIP_FRAME_MS of real time, from the
+ * start of a live run to the end of its death sequence.
+ * @param {number} frameMs
+ */
+function recordClip(frameMs) {
+  const live = state.started && !session.replay && !session.paused && !session.screen && session.countdown <= 0;
+  if (!clip.ring || !live || (state.gameOver && effects.dying <= 0)) return;
+  clip.sinceMs += frameMs;
+  if (clip.sinceMs < CLIP_FRAME_MS) return;
+  // After a stall, carry on from now rather than catching up
+  clip.sinceMs = Math.min(clip.sinceMs - CLIP_FRAME_MS, CLIP_FRAME_MS);
+  clipCtx.drawImage(buffer, 0, 0, CLIP_WIDTH, CLIP_HEIGHT);
+  clip.ring.push(clipCtx.getImageData(0, 0, CLIP_WIDTH, CLIP_HEIGHT).data);
+}
+
+/** Encodes the clip one frame per task, so the game keeps drawing, then downloads it. */
+function exportClip() {
+  if (clip.encoder || !clip.ring || !clip.ring.size) return;
+  const encoder = createGifEncoder(clip.ring.snapshot(), CLIP_WIDTH, CLIP_HEIGHT, CLIP_FRAME_MS / 10);
+  const filename = `strawberry-clip-${formatSeed(state.seed)}-${state.score}.gif`;
+  clip.encoder = encoder;
+  const work = () => {
+    if (!encoder.encodeNext()) {
+      setTimeout(work, 0);
+      return;
+    }
+    clip.encoder = null;
+    downloadBlob(filename, new Blob([encoder.finish()], { type: 'image/gif' }));
+    showNotice(t('notice.clipSaved'));
+  };
+  setTimeout(work, 0);
+}
+
+/**
+ * Offers the clip once a run is over.
+ * @param {number} y - Top edge of the button.
+ */
+function drawClipButton(y) {
+  if (!clip.ring || !clip.ring.size) return;
+  const label = clip.encoder
+    ? t('hud.clipEncoding', { percent: Math.round(clip.encoder.progress * 100) })
+    : t('hud.saveClip');
+  drawButton(label, y, false, exportClip);
+}
+
+// Pause
+const RESUME_COUNTDOWN_MS = 3000;
+
+/** @returns {boolean} Whether a run is in progress (not idle, not over, not a replay). */
+function isRunning() {
+  return state.started && !state.gameOver && !session.replay;
+}
+
+/** Freezes the current run and shows the pause overlay. */
+function pauseGame() {
+  if (!isRunning()) return;
+  session.paused = true;
+  session.countdown = 0;
+  flapQueued.fill(false);
+  stopMusic();
+  announce(t('a11y.paused'));
+}
+
+/** Leaves the pause overlay through a 3-2-1 countdown. */
+function resumeGame() {
+  if (!session.paused) return;
+  session.paused = false;
+  session.countdown = RESUME_COUNTDOWN_MS;
+  resumeMusic();
+  announce(t('a11y.resuming'));
+}
+
+/** Escape/P: pause a running game, or resume a paused one. */
+function togglePause() {
+  if (session.paused) resumeGame();
+  else pauseGame();
+}
+
+/** Abandons the paused run and starts a fresh one. */
+function restartFromPause() {
+  session.paused = false;
+  session.countdown = 0;
+  resumeMusic();
+  session.runLog = null;
+  game.reset();
+  startGame();
+}
+
+/** Ends the paused run of a zen game, which nobody crashes out of. */
+function endZenRun() {
+  if (!session.paused || game.config.zen <= 0) return;
+  session.paused = false;
+  session.countdown = 0;
+  resumeMusic();
+  handleRunEvents(game.retire());
+}
+
+/**
+ * Whether the stored ghost can be raced (enabled and recorded with the current physics).
+ * @returns {boolean}
+ */
+function ghostAvailable() {
+  const log = session.ghostLog;
+  return Boolean(settings.ghostEnabled && log && configsMatch(log.config, game.config));
+}
+
+/**
+ * Picks the seed for the next run: Daily Challenge, then a URL seed, then the ghost's
+ * course when racing it, then a random one.
+ * @returns {{seed:number, dailyKey:string|null}}
+ */
+function chooseRunSeed() {
+  if (session.daily) {
+    const key = dailyKey();
+    return { seed: dailySeed(key), dailyKey: key };
+  }
+  if (urlSeed.seed != null) return { seed: urlSeed.seed, dailyKey: null };
+  if (ghostAvailable()) return { seed: session.ghostLog.seed, dailyKey: null };
+  return { seed: randomSeed(), dailyKey: null };
+}
+
+/** @returns {boolean} Whether the current run stays out of the records (versus and course tests). */
+function unrecordedRun() {
+  return session.versus || editor.testing;
+}
+
+/** Begins a new run on a freshly chosen course. */
+function startGame() {
+  const run = chooseRunSeed();
+  flapQueued.fill(false);
+  game.start(run.seed, run.dailyKey);
+  resetEffects();
+  dev.tainted = state.invincible || !configsMatch(game.config, runConfig());
+  // Versus runs and course tests are never recorded, so they get no log and no ghost
+  session.runLog = unrecordedRun() ? null : createRunLog(game, settings.difficulty, settings.mode);
+  // The ghost only makes sense on the course it was recorded on
+  session.ghost = !unrecordedRun() && ghostAvailable() && session.ghostLog.seed === run.seed
+    ? createReplayPlayer(session.ghostLog)
+    : null;
+  session.bestBefore = modeBest();
+  restartClip();
+  // Zen runs can't be lost, so they don't count toward achievements either
+  if (unrecordedRun() || dev.tainted || game.config.zen > 0) achievements.abandonRun();
+  else achievements.startRun({ daily: Boolean(run.dailyKey) });
+  playStartChime();
+  announce(t('a11y.start'));
+}
+
+/**
+ * Advances the simulation one fixed step, feeding queued input and reacting to its events.
+ * Flaps are recorded by tick into the run log so the run can be replayed.
+ * @param {number} dt - Step length in ms.
+ */
+function update(dt) {
+  if (flapQueued[0] && session.runLog && state.started && !state.gameOver) {
+    session.runLog.flaps.push(state.tick);
+  }
+  if (session.ghost && state.started && !state.gameOver) session.ghost.advance(dt);
+  const events = game.step(session.versus ? { flaps: [...flapQueued] } : { flap: flapQueued[0] }, dt);
+  flapQueued.fill(false);
+  handleRunEvents(events);
+}
+
+/**
+ * Plays, records and announces what happened in the live run, ending it when it's over.
+ * @param {import('./core.js').GameEvent[]} events
+ */
+function handleRunEvents(events) {
+  playEffects(game, events);
+  celebrate(achievements.record(events));
+  for (const event of events) {
+    if (event.type === 'pass') {
+      playPassBeep(event.score);
+      // The multiplier can skip a round number, so announce on crossing one
+      const points = state.powerUps.multiplier > 0 ? game.config.multiplierValue : 1;
+      const crossed = Math.floor(event.score / ANNOUNCE_SCORE_EVERY) > Math.floor((event.score - points) / ANNOUNCE_SCORE_EVERY);
+      if (crossed && !session.versus) announce(t('a11y.score', { score: formatNumber(event.score) }));
+    }
+    else if (event.type === 'flap') playFlapSound(playerSkin(event.player));
+    else if (event.type === 'collect') playCollectTick();
+    else if (event.type === 'powerup') playPowerUpSound(event.kind);
+    else if (event.type === 'shield') playShieldBreak();
+    else if (event.type === 'hit') {
+      playShieldBreak();
+      if (!session.versus) announce(t('a11y.zenHit', { score: formatNumber(event.score) }));
+    }
+    else if (event.type === 'best' && !dev.tainted && !unrecordedRun()) saveModeBest(event.best);
+    else if (event.type === 'die' && !state.gameOver) {
+      // A versus player is out while the other one flies on
+      playGameOverFx();
+      announce(t('a11y.playerOut', { player: event.player + 1 }));
+    }
+  }
+  const fatal = state.gameOver && events.filter((e) => e.type === 'die').pop();
+  if (fatal) endRun(fatal.player);
+  else if (events.some((e) => e.type === 'finish' || e.type === 'timeUp' || e.type === 'retire')) endRun(-1);
+}
+
+/**
+ * Wraps up the run once nobody is flying any more.
+ * @param {number} player - Who crashed last, or -1 when the run ended without a crash (the
+ *   course's finish line, the time limit or a zen run ended from the pause menu).
+ */
+function endRun(player) {
+  if (player >= 0) {
+    playGameOverFx();
+    duckMusic(0.25, 2.5);
+    startDeathSequence(player);
+  } else if (state.finished || state.timeUp) {
+    playAchievementChime();
+  }
+  if (unrecordedRun()) {
+    // The core raised the best as usual; these runs never count toward it
+    state.best = modeBest();
+    state.newBestAchieved = false;
+    if (editor.testing) {
+      announce(state.finished
+        ? t('a11y.courseFinished', { time: formatCourseTime(state.finishMs) })
+        : t('a11y.courseCrashed', { percent: Math.round(courseProgress() * 100) }));
+      return;
+    }
+    const winner = versusWinner(game.players);
+    announce(winner < 0 ? t('a11y.versusDraw') : t('a11y.versusWinner', { player: winner + 1 }));
+    return;
+  }
+  finishRunLog();
+  const prefix = state.timeUp ? 'a11y.timeUp' : 'a11y.gameOver';
+  announce(state.newBestAchieved
+    ? t(`${prefix}Best`, { score: formatNumber(state.score) })
+    : t(prefix, { score: formatNumber(state.score), best: formatNumber(state.best) }));
+  celebrate(achievements.finishRun({ beatBest: state.newBestAchieved && session.bestBefore > 0 }));
+  // Lifetime totals move on every run, unlocked or not
+  writeAchievements(achievementProgress);
+}
+
+/** Closes the current run log and keeps it as the last run. */
+function finishRunLog() {
+  if (!session.runLog) return;
+  if (dev.tainted) {
+    // Tuned mid-run or invincible: it would not replay faithfully and must not count
+    session.runLog = null;
+    session.lastRun = null;
+    state.best = modeBest();
+    state.newBestAchieved = false;
+    showNotice(t('notice.devRun'));
+    return;
+  }
+  session.runLog.ticks = state.tick;
+  session.runLog.score = state.score;
+  session.lastRun = session.runLog;
+  session.runLog = null;
+  wallet.seeds += state.seedsCollected;
+  writeWallet(wallet);
+  // The leaderboard and history rank endless runs; the other modes only keep a best score
+  if (session.lastRun.mode === 'endless') recordRun(session.lastRun);
+  // Keep the best run as the ghost to race next time
+  const ghost = session.ghostLog;
+  if (!ghost || session.lastRun.score > ghost.score) {
+    session.ghostLog = session.lastRun;
+    writeGhostLog(session.lastRun);
+  }
+}
+
+/**
+ * Adds a finished run to the history and, if it makes the top 10, asks for initials.
+ * @param {import('./replay.js').RunLog} log
+ */
+function recordRun(log) {
+  /** @type {RunRecord} */
+  const entry = {
+    score: log.score,
+    date: new Date().toISOString(),
+    durationMs: Math.round(log.ticks * STEP_MS),
+    flaps: log.flaps.length,
+    difficulty: log.difficulty,
+  };
+  records.history.unshift(entry);
+  records.history.length = Math.min(records.history.length, HISTORY_SIZE);
+  writeRecords(records);
+
+  const board = records.leaderboard;
+  const qualifies = entry.score > 0 &&
+    (board.length < LEADERBOARD_SIZE || entry.score > board[board.length - 1].score);
+  if (qualifies) {
+    session.pendingEntry = entry;
+    session.initials = records.lastInitials.split('');
+    // Otherwise asked for once the death sequence has finished
+    if (effects.dying <= 0) openScreen('initials');
+  }
+}
+
+/** Stores the pending run on the leaderboard under the entered initials. */
+function saveInitials() {
+  const entry = session.pendingEntry;
+  if (!entry) return;
+  const initials = session.initials.join('');
+  records.leaderboard.push({ ...entry, initials });
+  records.leaderboard.sort((a, b) => b.score - a.score);
+  records.leaderboard.length = Math.min(records.leaderboard.length, LEADERBOARD_SIZE);
+  records.lastInitials = initials;
+  writeRecords(records);
+  session.pendingEntry = null;
+  openScreen('leaderboard');
+}
+
+// Developer overlay
+// Sliders edit the live config in place. A run that was tuned or played invincible is a dev
+// run: it never reaches the records, the wallet or the ghost.
+const frameStats = createFrameStats();
+const dev = {
+  /** Overlay visible; its shortcuts only work while it is. */
+  open: false,
+  /** Highlighted slider in DEV_PARAMS. */
+  index: 0,
+  /** Simulation speed factor, one of DEV_TIME_SCALES. */
+  timeScale: 1,
+  /** Simulation frozen; `stepQueued` lets exactly one fixed step through. */
+  frozen: false,
+  stepQueued: false,
+  /** The current run used tuned values or invincibility. */
+  tainted: false,
+};
+
+/** Shows or hides the overlay; hiding it drops slow motion, freezing and invincibility. */
+function toggleDevOverlay() {
+  dev.open = !dev.open;
+  if (dev.open) return;
+  dev.timeScale = 1;
+  dev.frozen = false;
+  dev.stepQueued = false;
+  state.invincible = false;
+}
+
+/** Marks the run in progress, if any, as a dev run. */
+function taintRun() {
+  if (!state.started || state.gameOver) return;
+  dev.tainted = true;
+  achievements.abandonRun();
+}
+
+/**
+ * @param {import('./devtools.js').DevParam} param
+ * @param {number} value - Snapped into the slider's range.
+ */
+function setDevParam(param, value) {
+  game.config[param.key] = snapParam(param, value);
+  taintRun();
+}
+
+function toggleInvincible() {
+  state.invincible = !state.invincible;
+  if (state.invincible) taintRun();
+}
+
+function cycleTimeScale() {
+  const i = DEV_TIME_SCALES.indexOf(dev.timeScale);
+  dev.timeScale = DEV_TIME_SCALES[(i + 1) % DEV_TIME_SCALES.length];
+}
+
+/** Freezes the simulation if needed and lets one fixed step through. */
+function stepDevFrame() {
+  dev.frozen = true;
+  dev.stepQueued = true;
+}
+
+/** Puts every tuned value back to the selected difficulty's. */
+function resetDevParams() {
+  Object.assign(game.config, runConfig());
+}
+
+/** Downloads the tuned config as a DIFFICULTY_PRESETS-style JSON object. */
+function exportDevPreset() {
+  downloadText(`strawberry-preset-${settings.difficulty}.json`, presetJson(game.config));
+  showNotice('Preset exported');
+}
+
+/**
+ * Overlay shortcuts: [ ] pick a slider, - = move it, F freeze, . step, T slow motion,
+ * I invincibility, 0 reset, E export.
+ * @param {{code:string}} e
+ * @returns {boolean} Whether the key was consumed.
+ */
+function handleDevKey(e) {
+  const param = DEV_PARAMS[dev.index];
+  if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
+    const dir = e.code === 'BracketLeft' ? -1 : 1;
+    dev.index = (dev.index + dir + DEV_PARAMS.length) % DEV_PARAMS.length;
+  } else if (e.code === 'Minus' || e.code === 'Equal') {
+    setDevParam(param, game.config[param.key] + (e.code === 'Minus' ? -param.step : param.step));
+  } else if (e.code === 'KeyF') {
+    dev.frozen = !dev.frozen;
+  } else if (e.code === 'Period') {
+    stepDevFrame();
+  } else if (e.code === 'KeyT') {
+    cycleTimeScale();
+  } else if (e.code === 'KeyI') {
+    toggleInvincible();
+  } else if (e.code === 'Digit0') {
+    resetDevParams();
+  } else if (e.code === 'KeyE') {
+    exportDevPreset();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Effects
+// Purely cosmetic: driven by simulation events, advanced by real frame time and never fed
+// back into core.js, so replays and ghosts are unaffected. Reduced motion turns them all off.
+const particles = createParticlePool(256);
+const DEATH_SEQUENCE_MS = 900; // real time before the GAME OVER panel appears
+const DEATH_TIME_SCALE = 0.3; // effects run in slow motion meanwhile
+const SHAKE_MS = 350;
+const SHAKE_PX = 6;
+const FLASH_MS = 180;
+const PUFF_COLORS = ['#e5e7eb', '#cbd5e1', '#94a3b8'];
+const SEED_COLORS = ['#ffe08a', '#facc15', '#fff7cc'];
+const CRASH_COLORS = ['#ff7087', '#ff2f67', '#ff2f67', '#22c55e', '#ffe08a'];
+const SHIELD_COLORS = ['#60a5fa', '#bfdbfe', '#e7e8ea'];
+
+const effects = {
+  /** Milliseconds of screen shake left. */
+  shake: 0,
+  /** Milliseconds of white flash left. */
+  flash: 0,
+  /** Milliseconds left in the slow-motion death sequence; the GAME OVER panel waits for 0. */
+  dying: 0,
+  /** @type {{player:number, y:number, vy:number, rotation:number, spin:number}|null} Strawberry tumbling after the last crash. */
+  fall: null,
+  /** Milliseconds since each player's skin trail last emitted. */
+  trailMs: [0, 0],
+};
+
+/** Drops every running effect (new run, replay opened or closed). */
+function resetEffects() {
+  particles.clear();
+  effects.shake = 0;
+  effects.flash = 0;
+  effects.dying = 0;
+  effects.fall = null;
+}
+
+/**
+ * Spawns particles and shake for the events of one simulation step.
+ * @param {ReturnType<typeof createGame>} g - Game the events came from.
+ * @param {import('./core.js').GameEvent[]} events
+ */
+function playEffects(g, events) {
+  if (settings.reducedMotion) return;
+  for (const event of events) {
+    const { x, y, radius: r } = g.players[event.player || 0].strawberry;
+    if (event.type === 'flap') {
+      particles.burst({
+        x: x - r * 0.6, y: y + r * 0.6, count: 5, speed: [30, 80], angle: [Math.PI * 0.5, Math.PI * 1.1],
+        life: [0.25, 0.45], size: [2, 4], colors: PUFF_COLORS, drag: 3,
+      });
+    } else if (event.type === 'pass') {
+      particles.burst({
+        x, y, count: 14, speed: [60, 160], life: [0.4, 0.7], size: [2, 3], colors: SEED_COLORS,
+        gravity: 300, drag: 1.5,
+      });
+    } else if (event.type === 'collect') {
+      particles.burst({
+        x: x + r, y, count: 4, speed: [30, 70], life: [0.2, 0.35], size: [1, 2], colors: SEED_COLORS,
+      });
+    } else if (event.type === 'powerup') {
+      particles.burst({
+        x, y, count: 12, speed: [40, 120], life: [0.3, 0.6], size: [2, 3],
+        colors: [POWERUP_STYLES[event.kind].color, '#e7e8ea'], drag: 2,
+      });
+    } else if (event.type === 'shield') {
+      particles.burst({
+        x, y, count: 24, speed: [80, 200], life: [0.4, 0.8], size: [2, 4], colors: SHIELD_COLORS,
+        gravity: 400, drag: 1,
+      });
+      effects.shake = SHAKE_MS / 2;
+    } else if (event.type === 'hit') {
+      particles.burst({
+        x, y, count: 16, speed: [60, 180], life: [0.4, 0.7], size: [2, 4], colors: CRASH_COLORS,
+        gravity: 500, drag: 1,
+      });
+      effects.shake = SHAKE_MS / 2;
+    } else if (event.type === 'die') {
+      particles.burst({
+        x, y, count: 40, speed: [80, 260], life: [0.6, 1.2], size: [2, 5], colors: CRASH_COLORS,
+        gravity: 600, drag: 1,
+      });
+      effects.shake = SHAKE_MS;
+      effects.flash = FLASH_MS;
+    }
+  }
+}
+
+/**
+ * Starts the slow-motion tumble after the live run crashes (skipped with reduced motion).
+ * @param {number} player - Who crashed last.
+ */
+function startDeathSequence(player) {
+  if (settings.reducedMotion) return;
+  const s = game.players[player].strawberry;
+  effects.dying = DEATH_SEQUENCE_MS;
+  effects.fall = { player, y: s.y, vy: -240, rotation: s.rotation, spin: 10 };
+}
+
+/**
+ * Advances particles, shake, flash and the death sequence.
+ * @param {number} frameMs - Real elapsed time.
+ */
+function updateEffects(frameMs) {
+  const scaled = effects.dying > 0 ? frameMs * DEATH_TIME_SCALE : frameMs;
+  const dtS = scaled / 1000;
+  particles.update(dtS);
+  effects.shake = Math.max(0, effects.shake - frameMs);
+  effects.flash = Math.max(0, effects.flash - frameMs);
+
+  // Each flying player's skin trail
+  if (isRunning() && !session.paused && !settings.reducedMotion) {
+    game.players.forEach((player, i) => {
+      const trail = playerSkin(i).trail;
+      if (!trail || player.out) return;
+      effects.trailMs[i] += frameMs;
+      const s = player.strawberry;
+      while (effects.trailMs[i] >= trail.everyMs) {
+        effects.trailMs[i] -= trail.everyMs;
+        particles.burst({
+          x: s.x - s.radius * 0.8, y: s.y, count: 1, speed: [60, 100], angle: [Math.PI * 0.9, Math.PI * 1.1],
+          life: [0.3, 0.5], size: [2, 3], colors: trail.colors,
+        });
+      }
+    });
+  }
+
+  const fall = effects.fall;
+  if (fall) {
+    const floor = GAME_HEIGHT - game.config.groundHeight - game.players[fall.player].strawberry.radius;
+    if (fall.y < floor) {
+      fall.vy = Math.min(game.config.terminalVelDown, fall.vy + game.config.gravity * dtS);
+      fall.y = Math.min(floor, fall.y + fall.vy * dtS);
+      fall.rotation += fall.spin * dtS;
+    }
+  }
+
+  if (effects.dying > 0) {
+    effects.dying = Math.max(0, effects.dying - frameMs);
+    if (effects.dying === 0 && session.pendingEntry) openScreen('initials');
+  }
+}
+
+/** Draws live particles as pixel squares fading out over their lifetime. */
+function drawParticles() {
+  ctx.save();
+  particles.forEach((p) => {
+    ctx.globalAlpha = Math.min(1, (p.life / p.maxLife) * 1.5);
+    ctx.fillStyle = p.color;
+    ctx.fillRect(Math.round(p.x - p.size / 2), Math.round(p.y - p.size / 2), p.size, p.size);
+  });
+  ctx.restore();
+}
+
+// Replays
+const REPLAY_SPEEDS = [0.5, 1, 2];
+const REPLAY_SEEK_TICKS = Math.round(2000 / STEP_MS); // arrow keys jump 2 s
+
+/**
+ * Shows a short status message at the top of the screen.
+ * @param {string} text
+ */
+function showNotice(text) {
+  session.notice = { text, until: lastTime + 2500 };
+}
+
+/**
+ * Opens the replay viewer for a run log.
+ * @param {import('./replay.js').RunLog} log
+ */
+function openReplay(log) {
+  if (state.started && !state.gameOver) return;
+  resetEffects();
+  session.replay = { player: createReplayPlayer(log), playing: true, speed: 1, accumulator: 0 };
+}
+
+/** Leaves the replay viewer and clears a shared replay from the URL. */
+function closeReplay() {
+  session.replay = null;
+  resetEffects();
+  dragHandler = null;
+  if (window.location.hash.startsWith('#replay=')) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+}
+
+/**
+ * Parses replay JSON (from a file) and opens it, reporting problems as a notice.
+ * @param {string} text
+ */
+function openReplayText(text) {
+  try {
+    openReplay(parseRunLog(text));
+  } catch (err) {
+    showNotice(err instanceof ReplayError ? t(err.message, err.params) : t('notice.invalidReplay'));
+  }
+}
+
+/**
+ * Advances the replay by real elapsed time scaled by the playback speed.
+ * @param {number} frameMs
+ * @returns {number} Interpolation factor for drawing.
+ */
+function updateReplay(frameMs) {
+  const replay = session.replay;
+  if (!replay.playing) return 1;
+  updateEffects(frameMs * replay.speed);
+  replay.accumulator += frameMs * replay.speed;
+  while (replay.accumulator >= STEP_MS) {
+    const events = replay.player.advance(STEP_MS);
+    playEffects(replay.player.game, events);
+    for (const event of events) {
+      if (event.type === 'pass') playPassBeep(event.score);
+      else if (event.type === 'collect') playCollectTick();
+      else if (event.type === 'powerup') playPowerUpSound(event.kind);
+      else if (event.type === 'shield') playShieldBreak();
+      else if (event.type === 'die') playGameOverFx();
+    }
+    replay.accumulator -= STEP_MS;
+  }
+  if (replay.player.finished) {
+    replay.playing = false;
+    return 1;
+  }
+  return replay.accumulator / STEP_MS;
+}
+
+/** Toggles replay playback, restarting from the beginning once it has finished. */
+function toggleReplayPlaying() {
+  const replay = session.replay;
+  if (!replay.playing && replay.player.finished) replay.player.seek(0, STEP_MS);
+  replay.playing = !replay.playing;
+  replay.accumulator = 0;
+}
+
+/**
+ * Jumps the replay to a tick.
+ * @param {number} tick
+ */
+function seekReplay(tick) {
+  resetEffects();
+  session.replay.player.seek(tick, STEP_MS);
+  session.replay.accumulator = 0;
+}
+
+/**
+ * Keyboard controls for the replay viewer.
+ * @param {KeyboardEvent} e
+ */
+function handleReplayKey(e) {
+  const replay = session.replay;
+  const idx = REPLAY_SPEEDS.indexOf(replay.speed);
+  if (e.code === 'Space' || e.code === 'KeyK') {
+    e.preventDefault();
+    toggleReplayPlaying();
+  } else if (e.code === 'ArrowLeft') {
+    seekReplay(replay.player.game.state.tick - REPLAY_SEEK_TICKS);
+  } else if (e.code === 'ArrowRight') {
+    seekReplay(replay.player.game.state.tick + REPLAY_SEEK_TICKS);
+  } else if (e.code === 'ArrowUp') {
+    e.preventDefault();
+    replay.speed = REPLAY_SPEEDS[Math.min(REPLAY_SPEEDS.length - 1, idx + 1)];
+  } else if (e.code === 'ArrowDown') {
+    e.preventDefault();
+    replay.speed = REPLAY_SPEEDS[Math.max(0, idx - 1)];
+  } else if (e.code === 'Escape') {
+    closeReplay();
+  }
+}
+
+/**
+ * Triggers a browser download of text content.
+ * @param {string} filename
+ * @param {string} text
+ */
+function downloadText(filename, text) {
+  downloadBlob(filename, new Blob([text], { type: 'application/json' }));
+}
+
+/**
+ * Triggers a browser download of binary content.
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Saves a run log as a JSON file.
+ * @param {import('./replay.js').RunLog} log
+ */
+function exportReplayFile(log) {
+  downloadText(`strawberry-replay-${formatSeed(log.seed)}-${log.score}.json`, serializeRunLog(log));
+}
+
+/**
+ * Copies a shareable `#replay=` link, falling back to putting it in the address bar.
+ * @param {import('./replay.js').RunLog} log
+ */
+function copyReplayLink(log) {
+  const hash = `#replay=${encodeRunLog(log)}`;
+  const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+  const fallback = () => {
+    history.replaceState(null, '', hash);
+    showNotice(t('notice.linkInBar'));
+  };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(() => showNotice(t('notice.linkCopied')), fallback);
+  } else {
+    fallback();
+  }
+}
+
+/** Lets the player pick a replay JSON file. */
+function importReplayFile() {
+  pickJsonFile(openReplayText);
+}
+
+/**
+ * Asks for a JSON file and hands over its text.
+ * @param {(text:string) => void} onText
+ */
+function pickJsonFile(onText) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json,.json';
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    if (file) file.text().then(onText, () => showNotice(t('notice.readFailed')));
+  });
+  input.click();
+}
+
+// A replay shared as a URL fragment opens straight away
+if (window.location.hash.startsWith('#replay=')) {
+  try {
+    openReplay(decodeRunLog(window.location.hash.slice('#replay='.length)));
+  } catch (err) {
+    showNotice(err instanceof ReplayError ? t(err.message, err.params) : t('notice.invalidReplay'));
+  }
+}
+
+// Course editor
+// Hand-made courses (course.js) are laid out on the canvas and test-played by the live
+// game. Test runs never reach the records, the achievements or the ghost.
+const EDITOR_NUDGE = 8; // px per arrow key press
+const EDITOR_GAP_STEP = 8; // px per gap resize
+const EDITOR_STYLES = [null, ...Object.keys(OBSTACLE_STYLES)];
+const EDITOR_POWERUPS = [null, ...POWERUP_KINDS];
+
+const editor = {
+  /** The editor is on screen; the game waits idle behind it. */
+  open: false,
+  /** The course is being test-played; its idle and result screens lead back to the editor. */
+  testing: false,
+  /** @type {import('./course.js').Course} Course being edited, saved after every change. */
+  course: readCourse(),
+  /** Index of the selected obstacle, or -1. */
+  selected: -1,
+  /** World x shown at the left edge of the screen. */
+  scrollX: 0,
+};
+
+/** Shows the editor, abandoning a test run in progress. */
+function showEditor() {
+  session.paused = false;
+  session.countdown = 0;
+  resumeMusic();
+  if (session.versus) {
+    session.versus = false;
+    game.setPlayerCount(1);
+  }
+  game.setCourse(null);
+  resetEffects();
+  flapQueued.fill(false);
+  editor.open = true;
+  editor.testing = false;
+  Object.assign(game.config, runConfig());
+}
+
+/** Opens the editor from the idle or game-over screen. */
+function openEditor() {
+  if (isRunning() || session.paused || effects.dying > 0) return;
+  showEditor();
+}
+
+/** Leaves the editor for the regular game. */
+function closeEditor() {
+  editor.open = false;
+  dragHandler = null;
+}
+
+/** Test-plays the course as it stands; later edits don't touch the test run. */
+function testCourse() {
+  const { course } = editor;
+  editor.open = false;
+  editor.testing = true;
+  dragHandler = null;
+  Object.assign(game.config, runConfig());
+  game.setCourse({ ...course, obstacles: course.obstacles.map((o) => ({ ...o })) });
+  startGame();
+}
+
+/** @returns {import('./course.js').CourseObstacle|null} */
+function selectedObstacle() {
+  return editor.course.obstacles[editor.selected] || null;
+}
+
+/** Tidies the course after an edit and saves it, keeping the same obstacle selected. */
+function courseChanged() {
+  const selected = selectedObstacle();
+  for (const obstacle of editor.course.obstacles) clampObstacle(obstacle);
+  fitFinish(editor.course);
+  editor.selected = editor.course.obstacles.indexOf(selected);
+  writeCourse(editor.course);
+}
+
+/**
+ * Scrolls the editor, keeping the course start and the finish line within reach.
+ * @param {number} x - World x to show at the left edge.
+ */
+function scrollEditor(x) {
+  const end = Math.max(0, editor.course.finish + 80 - GAME_WIDTH);
+  editor.scrollX = Math.round(Math.min(end, Math.max(0, x)));
+}
+
+/**
+ * Selects an obstacle and scrolls it into view.
+ * @param {number} index - -1 clears the selection.
+ */
+function selectObstacle(index) {
+  editor.selected = index;
+  const obstacle = selectedObstacle();
+  const w = game.config.pipeWidth;
+  if (obstacle && (obstacle.x < editor.scrollX || obstacle.x + w > editor.scrollX + GAME_WIDTH)) {
+    scrollEditor(obstacle.x + w / 2 - GAME_WIDTH / 2);
+  }
+}
+
+/**
+ * Adds an obstacle a pipe spacing after the selected one (or mid-screen), with the same gap.
+ * Stops at the most obstacles `parseCourse` accepts, so every course exported here imports again.
+ */
+function addObstacle() {
+  if (editor.course.obstacles.length >= MAX_OBSTACLES) {
+    showNotice(t('notice.courseFull', { max: formatNumber(MAX_OBSTACLES) }));
+    return;
+  }
+  const from = selectedObstacle();
+  const obstacle = createObstacle(from ? from.x + game.config.pipeSpacing : editor.scrollX + GAME_WIDTH / 2);
+  if (from) Object.assign(obstacle, { gapY: from.gapY, gap: from.gap });
+  editor.course.obstacles.push(obstacle);
+  editor.selected = editor.course.obstacles.length - 1;
+  courseChanged();
+  selectObstacle(editor.selected);
+}
+
+/** Removes the selected obstacle. */
+function deleteObstacle() {
+  if (!selectedObstacle()) return;
+  editor.course.obstacles.splice(editor.selected, 1);
+  editor.selected = -1;
+  courseChanged();
+}
+
+/**
+ * Moves the selected obstacle.
+ * @param {number} dx
+ * @param {number} dy
+ */
+function nudgeObstacle(dx, dy) {
+  const obstacle = selectedObstacle();
+  if (!obstacle) return;
+  obstacle.x += dx;
+  obstacle.gapY += dy;
+  courseChanged();
+  selectObstacle(editor.selected);
+}
+
+/**
+ * Widens (+1) or narrows (-1) the selected obstacle's gap.
+ * @param {number} dir
+ */
+function resizeGap(dir) {
+  const obstacle = selectedObstacle();
+  if (!obstacle) return;
+  obstacle.gap += dir * EDITOR_GAP_STEP;
+  courseChanged();
+}
+
+/**
+ * Steps a field of the selected obstacle to its next option.
+ * @param {'motion'|'style'|'powerUp'} key
+ * @param {readonly (string|null)[]} options
+ */
+function cycleObstacle(key, options) {
+  const obstacle = selectedObstacle();
+  if (!obstacle) return;
+  obstacle[key] = options[(options.indexOf(obstacle[key]) + 1) % options.length];
+  courseChanged();
+}
+
+/** Saves the course as a JSON file. */
+function exportCourseFile() {
+  const slug = editor.course.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+  downloadText(`strawberry-course-${slug}.json`, serializeCourse(editor.course));
+}
+
+/**
+ * Replaces the edited course with one parsed from JSON, reporting problems as a notice.
+ * @param {string} text
+ */
+function openCourseText(text) {
+  try {
+    editor.course = parseCourse(text);
+  } catch (err) {
+    showNotice(err instanceof CourseError ? t(err.message, err.params) : t('notice.invalidCourse'));
+    return;
+  }
+  editor.selected = -1;
+  editor.scrollX = 0;
+  writeCourse(editor.course);
+  showNotice(t('notice.courseLoaded'));
+}
+
+/** Lets the player pick a course JSON file. */
+function importCourseFile() {
+  pickJsonFile(openCourseText);
+}
+
+/**
+ * Keyboard controls for the editor. Arrows move the selected obstacle (or scroll), brackets
+ * pick the previous/next one.
+ * @param {{code:string, preventDefault:() => void}} e
+ */
+function handleEditorKey(e) {
+  const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  const count = editor.course.obstacles.length;
+  if (arrows[e.code]) {
+    e.preventDefault();
+    const [dx, dy] = arrows[e.code];
+    if (selectedObstacle()) nudgeObstacle(dx * EDITOR_NUDGE, dy * EDITOR_NUDGE);
+    else scrollEditor(editor.scrollX + (dx * GAME_WIDTH) / 4);
+  } else if (e.code === 'BracketRight' && count) {
+    selectObstacle((editor.selected + 1) % count);
+  } else if (e.code === 'BracketLeft' && count) {
+    selectObstacle(editor.selected <= 0 ? count - 1 : editor.selected - 1);
+  } else if (e.code === 'KeyN') {
+    addObstacle();
+  } else if (e.code === 'Delete' || e.code === 'Backspace') {
+    deleteObstacle();
+  } else if (e.code === 'Minus' || e.code === 'Equal') {
+    resizeGap(e.code === 'Minus' ? -1 : 1);
+  } else if (e.code === 'KeyM') {
+    cycleObstacle('motion', OBSTACLE_MOTIONS);
+  } else if (e.code === 'KeyT') {
+    cycleObstacle('style', EDITOR_STYLES);
+  } else if (e.code === 'KeyP') {
+    cycleObstacle('powerUp', EDITOR_POWERUPS);
+  } else if (e.code === 'KeyI') {
+    importCourseFile();
+  } else if (e.code === 'KeyX') {
+    exportCourseFile();
+  } else if (e.code === 'Enter') {
+    e.preventDefault();
+    testCourse();
+  } else if (e.code === 'Escape') {
+    closeEditor();
+  }
+}
+
+/** @returns {number} 0..1, how far along the course being played the finish line has come. */
+function courseProgress() {
+  const { course, finishLine } = game;
+  if (!course) return 0;
+  return Math.min(1, Math.max(0, (course.finish - finishLine.x) / Math.max(1, course.finish - PLAYER_X)));
+}
+
+/**
+ * Formats a course time in seconds with tenths.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatCourseTime(ms) {
+  return formatNumber(Math.floor(ms / 100) / 10);
+}
+
+// Drawing helpers
+/**
+ * Linear interpolation between two simulation steps.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} t - 0 = previous step, 1 = current step.
+ * @returns {number}
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * @param {ReturnType<typeof createGame>} g - Game whose scroll offsets to draw.
+ * @param {number} alpha - Interpolation factor between the last two steps.
+ */
+function drawBackground(g, alpha) {
+  const { bgOffset, bgOffsetPrev } = g;
+  const palette = backgroundPalette(g);
+  // Reduced motion: freeze the parallax layers
+  const motion = settings.reducedMotion ? 0 : 1;
+  const groundY = GAME_HEIGHT - g.config.groundHeight;
+
+  // Sky gradient banding (subtle stripes)
+  const { skyTop, skyBottom } = palette;
+  for (let y = 0; y < groundY; y += 8) {
+    const t = y / groundY;
+    const [r, gr, b] = skyTop.map((c, i) => c + Math.floor(t * (skyBottom[i] - c)));
+    ctx.fillStyle = `rgb(${r}, ${gr}, ${b})`;
+    ctx.fillRect(0, y, GAME_WIDTH, 8);
+  }
+
+  // Stars layer (tiny squares)
+  ctx.fillStyle = palette.stars;
+  const starsStep = 32;
+  const starsOffset = Math.round((lerp(bgOffsetPrev.stars, bgOffset.stars, alpha) * motion) % starsStep);
+  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += starsStep) {
+    const px = Math.round(x - starsOffset);
+    const py = 8 + ((x * 17) % (groundY - 120));
+    if (py < groundY - 120) ctx.fillRect(px, py, 2, 2);
+  }
+
+  // Hills layer
+  ctx.fillStyle = palette.hills;
+  const hillY = groundY - 40;
+  const hillsStep = 80;
+  const hillsOffset = Math.round((lerp(bgOffsetPrev.hills, bgOffset.hills, alpha) * motion) % hillsStep);
+  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += hillsStep) {
+    const px = Math.round(x - hillsOffset);
+    ctx.fillRect(px, hillY, 60, 40);
+  }
+
+  // Clouds (blocky)
+  ctx.fillStyle = palette.clouds;
+  const cloudsStep = 120;
+  const cloudsOffset = Math.round((lerp(bgOffsetPrev.clouds, bgOffset.clouds, alpha) * motion) % cloudsStep);
+  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += cloudsStep) {
+    const px = Math.round(x - cloudsOffset);
+    const base = 60 + ((x * 13) % 60);
+    ctx.fillRect(px, base, 40, 10);
+    ctx.fillRect(px + 16, base - 8, 32, 10);
+    ctx.fillRect(px + 28, base + 8, 28, 10);
+  }
+
+  // Ground
+  ctx.fillStyle = palette.ground;
+  ctx.fillRect(0, groundY, GAME_WIDTH, g.config.groundHeight);
+
+  // Foreground bushes
+  ctx.fillStyle = palette.bushes;
+  const bushesStep = 64;
+  const bushesOffset = Math.round((lerp(bgOffsetPrev.bushes, bgOffset.bushes, alpha) * motion) % bushesStep);
+  for (let x = -GAME_WIDTH; x < GAME_WIDTH * 2; x += bushesStep) {
+    const px = Math.round(x - bushesOffset);
+    const by = groundY - 12;
+    ctx.fillRect(px, by, 24, 12);
+    ctx.fillRect(px + 12, by - 8, 24, 12);
+    ctx.fillRect(px + 24, by, 24, 12);
+  }
+
+  // Horizon line
+  ctx.fillStyle = palette.horizon;
+  ctx.fillRect(0, groundY - 2, GAME_WIDTH, 2);
+}
+
+/**
+ * Fills an obstacle's body with its style's pattern.
+ * @param {import('./themes.js').ObstacleStyle} style
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ */
+function drawObstaclePattern(style, x, y, w, h) {
+  ctx.fillStyle = style.patternColor;
+  if (style.pattern === 'stripes') {
+    for (let yy = y + 10; yy < y + h - 6; yy += 12) {
+      ctx.fillRect(x + 4, yy, w - 8, 3);
+    }
+  } else if (style.pattern === 'dots') {
+    // sieve
+    for (let yy = y + 8; yy < y + h - 10; yy += 12) {
+      for (let xx = x + 6; xx < x + w - 6; xx += 12) {
+        ctx.fillRect(xx, yy, 2, 2);
+      }
+    }
+  } else if (style.pattern === 'bricks') {
+    // mortar lines, alternate rows offset by half a brick
+    for (let yy = y + 10, row = 0; yy < y + h - 4; yy += 10, row++) {
+      ctx.fillRect(x + 2, yy, w - 4, 2);
+      for (let xx = x + (row % 2 ? 10 : 20); xx < x + w - 4; xx += 20) {
+        ctx.fillRect(xx, yy - 8, 2, 8);
+      }
+    }
+  } else if (style.pattern === 'chevrons') {
+    // stepped V shapes, two pixels per step
+    for (let yy = y + 10; yy < y + h - 14; yy += 16) {
+      for (let i = 0; i < 4; i++) {
+        ctx.fillRect(x + 8 + i * 4, yy + i * 2, 4, 2);
+        ctx.fillRect(x + w - 12 - i * 4, yy + i * 2, 4, 2);
+      }
+    }
+  } else if (style.pattern === 'circuit') {
+    // traces with solder pads
+    const cx = Math.round(x + w / 2);
+    ctx.fillRect(cx - 1, y, 2, h);
+    for (let yy = y + 14, row = 0; yy < y + h - 10; yy += 18, row++) {
+      const dir = row % 2 ? 1 : -1;
+      ctx.fillRect(dir > 0 ? cx : cx - 16, yy, 16, 2);
+      ctx.fillRect(cx + dir * 16 - 2, yy - 2, 5, 5);
+    }
+  }
+}
+
+/**
+ * @param {ReturnType<typeof createGame>} g
+ * @returns {import('./themes.js').BackgroundPalette} The theme's, unless high contrast is on.
+ */
+function backgroundPalette(g) {
+  return settings.highContrast ? HIGH_CONTRAST_BACKGROUND : g.theme.background;
+}
+
+/**
+ * Resolves the style a pipe segment is drawn with.
+ * @param {string} styleId - Key of `OBSTACLE_STYLES`, as rolled by the theme pack.
+ * @param {'top'|'bottom'} segment
+ * @returns {import('./themes.js').ObstacleStyle}
+ */
+function obstacleStyle(styleId, segment) {
+  if (settings.highContrast) return HIGH_CONTRAST_STYLES[segment];
+  return OBSTACLE_STYLES[styleId] || OBSTACLE_STYLES.copilot;
+}
+
+/**
+ * Draws one pipe segment.
+ * @param {import('./themes.js').ObstacleStyle} style
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ */
+function drawObstacle(style, x, y, w, h) {
+  ctx.fillStyle = style.fill;
+  ctx.fillRect(x, y, w, h);
+  drawObstaclePattern(style, x, y, w, h);
+  // header/footer band
+  ctx.fillStyle = style.capColor;
+  ctx.fillRect(x, style.cap === 'header' ? y : y + h - 8, w, 8);
+  // label, next to the band
+  if (style.label) {
+    ctx.fillStyle = style.textColor;
+    ctx.font = 'bold 10px Silkscreen, monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const ly = style.cap === 'header' ? y + Math.min(h - 10, 14) : y + h - 14;
+    ctx.fillText(style.label, Math.round(x + w / 2), Math.round(ly));
+  }
+  // border
+  ctx.fillStyle = style.border;
+  ctx.fillRect(x, y, 2, h);
+  ctx.fillRect(x + w - 2, y, 2, h);
+}
+
+/**
+ * @param {ReturnType<typeof createGame>} g - Game whose pipes to draw.
+ * @param {number} alpha - Interpolation factor between the last two steps.
+ */
+function drawPipes(g, alpha) {
+  for (const pipe of g.pipes) {
+    // Quantize to pixel grid
+    const px = Math.round(lerp(pipe.prevX, pipe.x, alpha));
+    // Moving gaps: interpolate too, then snap to whole pixels
+    const topHeight = Math.round(lerp(pipe.prevTopHeight, pipe.topHeight, alpha));
+    const gap = Math.round(lerp(pipe.prevGap, pipe.gap, alpha));
+    if (pipe.powerUp) drawPowerUpIcon(pipe.powerUp, px + pipe.width / 2, topHeight + gap / 2, g.config.powerUpRadius);
+    // Pipes broken by a shield fade out and no longer collide
+    ctx.save();
+    if (pipe.shattered) ctx.globalAlpha = 0.3;
+    drawObstacle(obstacleStyle(pipe.styleTop, 'top'), px, 0, pipe.width, topHeight);
+    const bottomY = topHeight + gap;
+    const bottomHeight = GAME_HEIGHT - g.config.groundHeight - bottomY;
+    drawObstacle(obstacleStyle(pipe.styleBottom, 'bottom'), px, bottomY, pipe.width, bottomHeight);
+    ctx.restore();
+  }
+}
+
+// Look of each power-up, in the field and on the HUD
+const POWERUP_STYLES = {
+  shield: { color: '#60a5fa', glyph: 'S' },
+  slow: { color: '#a78bfa', glyph: 'T' },
+  shrink: { color: '#34d399', glyph: 'M' },
+  multiplier: { color: '#fbbf24', glyph: 'x2' },
+};
+
+/**
+ * Draws a power-up token: a colored disc with its glyph.
+ * @param {import('./core.js').PowerUpKind} kind
+ * @param {number} x
+ * @param {number} y
+ * @param {number} r
+ */
+function drawPowerUpIcon(kind, x, y, r) {
+  const style = POWERUP_STYLES[kind];
+  ctx.save();
+  ctx.translate(Math.round(x), Math.round(y));
+  ctx.fillStyle = style.color;
+  ctx.strokeStyle = '#0b0d12';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = '#0b0d12';
+  ctx.font = `bold ${Math.max(8, Math.round(r * (style.glyph.length > 1 ? 0.8 : 1.1)))}px Silkscreen, monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(style.glyph, 0, 1);
+  ctx.restore();
+}
+
+/**
+ * Draws a bubble around the player while the shield is up.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} r - Player radius.
+ */
+function drawShieldBubble(x, y, r) {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(96,165,250,0.85)';
+  ctx.fillStyle = 'rgba(96,165,250,0.15)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(Math.round(x), Math.round(y), r + 8, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Lists a player's active power-ups (top-left corner by default), each with a bar for the
+ * time left.
+ * @param {ReturnType<typeof createGame>} g
+ * @param {number} [player]
+ * @param {number} [x] - Center of the icons.
+ * @param {number} [y] - Center of the first icon.
+ */
+function drawPowerUpTimers(g, player = 0, x = 24, y = 36) {
+  const { powerUps } = g.players[player];
+  for (const kind of POWERUP_KINDS) {
+    const left = powerUps[kind];
+    if (left <= 0) continue;
+    const total = g.config[`${kind}Duration`];
+    drawPowerUpIcon(kind, x, y, 10);
+    const w = 40;
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(x + 14, y - 3, w, 6);
+    ctx.fillStyle = POWERUP_STYLES[kind].color;
+    ctx.fillRect(x + 14, y - 3, Math.ceil(w * Math.min(1, left / total)), 6);
+    y += 26;
   }
+}
 
-  // Horizon line
-  ctx.fillStyle = '#0f1220';
-  ctx.fillRect(0, groundY - 2, GAME_WIDTH, 2);
+/**
+ * Versus HUD: each player's score on a plate in their own corner, with their power-ups
+ * underneath. Player 2's plate stops short of the pause button.
+ */
+function drawVersusScores() {
+  const w = 120;
+  const h = 54;
+  const y = 24;
+  game.players.forEach((player, i) => {
+    const x = i === 0 ? 12 : GAME_WIDTH - 56 - w;
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.strokeRect(x, y, w, h);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = playerSkin(i).body[0];
+    ctx.font = 'bold 10px Silkscreen, monospace';
+    ctx.fillText(t(player.out ? 'hud.playerOut' : 'hud.player', { player: i + 1 }), x + 10, y + 16);
+    ctx.fillStyle = player.out ? '#9aa0a6' : '#e7e8ea';
+    ctx.font = 'bold 28px Silkscreen, monospace';
+    ctx.fillText(formatNumber(player.score), x + 10, y + 46);
+    if (state.started && !player.out) drawPowerUpTimers(game, i, x + 12, y + h + 18);
+  });
 }
 
-function drawCopilotRect(x, y, w, h) {
-  // Copilot block: purple panel with stripes and label
-  ctx.fillStyle = '#1d1147';
-  ctx.fillRect(x, y, w, h);
-  // stripes
-  ctx.fillStyle = '#4c1d95';
-  for (let yy = y + 10; yy < y + h - 6; yy += 12) {
-    ctx.fillRect(x + 4, yy, w - 8, 3);
-  }
-  // header
-  ctx.fillStyle = '#6d28d9';
-  ctx.fillRect(x, y, w, 8);
-  // label
-  ctx.fillStyle = '#e7e8ea';
+/**
+ * Small "P1"/"P2" label floating above a versus player.
+ * @param {number} index
+ * @param {number} x
+ * @param {number} y
+ */
+function drawPlayerTag(index, x, y) {
+  ctx.fillStyle = playerSkin(index).body[0];
   ctx.font = 'bold 10px Silkscreen, monospace';
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
-  ctx.fillText('COPILOT', Math.round(x + w / 2), Math.round(y + Math.min(h - 10, 14)));
-  // border
-  ctx.fillStyle = '#2a1566';
-  ctx.fillRect(x, y, 2, h);
-  ctx.fillRect(x + w - 2, y, 2, h);
+  ctx.fillText(t('hud.playerTag', { player: index + 1 }), Math.round(x), Math.round(y));
 }
 
-function drawSonnetRect(x, y, w, h) {
-  // Sonnet block: amber/orange panel with a sieve pattern and label
-  ctx.fillStyle = '#3a1d09';
-  ctx.fillRect(x, y, w, h);
-  // sieve dots
-  ctx.fillStyle = '#d97706';
-  for (let yy = y + 8; yy < y + h - 10; yy += 12) {
-    for (let xx = x + 6; xx < x + w - 6; xx += 12) {
-      ctx.fillRect(xx, yy, 2, 2);
-    }
-  }
-  // footer
-  ctx.fillStyle = '#b45309';
-  ctx.fillRect(x, y + h - 8, w, 8);
-  // label
-  ctx.fillStyle = '#e7e8ea';
-  ctx.font = 'bold 10px Silkscreen, monospace';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText('SONNET', Math.round(x + w / 2), Math.round(y + h - 14));
-  // border
-  ctx.fillStyle = '#4a240c';
-  ctx.fillRect(x, y, 2, h);
-  ctx.fillRect(x + w - 2, y, 2, h);
+/** Winner screen once both versus players are out. */
+function drawVersusResult() {
+  const winner = versusWinner(game.players);
+  const [p1, p2] = game.players;
+  const panel = drawCenterMessage([
+    winner < 0 ? t('hud.draw') : t('hud.winner', { player: winner + 1 }),
+    t('hud.versusScores', { p1: formatNumber(p1.score), p2: formatNumber(p2.score) }),
+    t('hud.pressRestart'),
+  ]);
+  if (winner >= 0) drawStrawberry(GAME_WIDTH / 2, panel.y - 36, 24, 0, 1, playerSkin(winner));
+  drawClipButton(panel.y + panel.h + 12);
 }
 
-function drawPipes() {
-  for (const pipe of pipes) {
-    // Quantize to pixel grid
-    const px = Math.round(pipe.x);
-    // Top obstacle: Copilot
-    if (pipe.styleTop === 'Copilot') {
-      drawCopilotRect(px, 0, pipe.width, pipe.topHeight);
-    } else {
-      drawSonnetRect(px, 0, pipe.width, pipe.topHeight);
+/**
+ * Seed offsets (in units of r) for each skin seed pattern.
+ * @param {import('./skins.js').Skin['seedPattern']} pattern
+ * @returns {[number, number][]}
+ */
+function seedLayout(pattern) {
+  const points = [];
+  if (pattern === 'grid') {
+    for (let i = -2; i <= 2; i++) {
+      for (let j = -1; j <= 1; j++) points.push([i * 0.36 + (j % 2 === 0 ? 0.16 : 0), j * 0.34 + 0.12]);
     }
-    // Bottom pipe
-    const bottomY = pipe.topHeight + pipeGap;
-    const bottomHeight = GAME_HEIGHT - groundHeight - bottomY;
-    // Bottom obstacle: Sonnet
-    if (pipe.styleBottom === 'Sonnet') {
-      drawSonnetRect(px, bottomY, pipe.width, bottomHeight);
-    } else {
-      drawCopilotRect(px, bottomY, pipe.width, bottomHeight);
+  } else if (pattern === 'ring') {
+    for (let k = 0; k < 8; k++) {
+      const a = (k * Math.PI * 2) / 8;
+      points.push([Math.cos(a) * 0.45, Math.sin(a) * 0.35 + 0.1]);
     }
+  } else if (pattern === 'scatter') {
+    points.push([-0.4, -0.2], [0.3, -0.3], [0.05, 0.05], [-0.25, 0.35], [0.4, 0.2], [0.1, 0.55], [-0.55, 0.1]);
   }
+  return points;
+}
+
+// Player 2 wears this in versus, or the classic skin when player 1 already does
+const RIVAL_SKIN = 'blueberry';
+
+/**
+ * Skin a player is drawn with: player 1 wears the equipped one, player 2 something else.
+ * @param {number} index
+ * @returns {import('./skins.js').Skin}
+ */
+function playerSkin(index) {
+  if (index === 0) return skinById(settings.skin);
+  return skinById(settings.skin === RIVAL_SKIN ? SKINS[0].id : RIVAL_SKIN);
 }
 
 /**
- * Renders the strawberry at the given position and radius.
- * Rotation comes from `strawberry.rotation`.
+ * Renders the strawberry at the given position, radius and rotation.
  * @param {number} x
  * @param {number} y
  * @param {number} r
+ * @param {number} rotation - Radians.
+ * @param {number} [opacity] - Below 1 for the translucent ghost.
+ * @param {import('./skins.js').Skin} [skin] - Defaults to the equipped skin.
  */
-function drawStrawberry(x, y, r) {
+function drawStrawberry(x, y, r, rotation, opacity = 1, skin = skinById(settings.skin)) {
   // Minimal strawberry using vector drawing, no external image dependency
   ctx.save();
+  ctx.globalAlpha = opacity;
   ctx.translate(Math.round(x), Math.round(y));
-  ctx.rotate(strawberry.rotation);
+  ctx.rotate(rotation);
 
   // Body with outline
   const bodyGradient = ctx.createRadialGradient(0, -r * 0.2, r * 0.3, 0, 0, r);
-  bodyGradient.addColorStop(0, '#ff7087');
-  bodyGradient.addColorStop(1, '#ff2f67');
+  bodyGradient.addColorStop(0, skin.body[0]);
+  bodyGradient.addColorStop(1, skin.body[1]);
   ctx.fillStyle = bodyGradient;
   ctx.strokeStyle = '#0b0d12';
   ctx.lineWidth = Math.max(2, r * 0.12);
@@ -583,29 +3373,40 @@ function drawStrawberry(x, y, r) {
   ctx.stroke();
 
   // Seeds (pixel squares)
-  ctx.fillStyle = '#ffe08a';
+  ctx.fillStyle = skin.seedColor;
   const seedSize = Math.max(2, Math.round(r * 0.18));
-  for (let i = -2; i <= 2; i++) {
-    for (let j = -1; j <= 1; j++) {
-      const sx = Math.round(i * r * 0.36 + (j % 2 === 0 ? r * 0.16 : 0));
-      const sy = Math.round(j * r * 0.34 + r * 0.12);
-      ctx.fillRect(sx - seedSize / 2, sy - seedSize / 2, seedSize, seedSize);
-    }
+  for (const [u, v] of seedLayout(skin.seedPattern)) {
+    const sx = Math.round(u * r);
+    const sy = Math.round(v * r);
+    ctx.fillRect(sx - seedSize / 2, sy - seedSize / 2, seedSize, seedSize);
   }
 
   // Leaves (pixel triangles)
-  ctx.fillStyle = '#22c55e';
+  ctx.fillStyle = skin.leafColor;
   const leafLen = Math.round(r * 0.9);
-  for (let k = 0; k < 4; k++) {
-    const angle = (k * Math.PI * 2) / 4;
-    const lx = Math.round(Math.cos(angle) * r * 0.4);
-    const ly = Math.round(-r + Math.sin(angle) * r * 0.2 - r * 0.2);
+  if (skin.leafShape === 'single') {
+    // One leaf beside a short stem
+    ctx.fillRect(-1, Math.round(-r * 1.45), 3, Math.round(r * 0.5));
     ctx.beginPath();
-    ctx.moveTo(lx, ly);
-    ctx.lineTo(lx + Math.round(Math.cos(angle) * leafLen * 0.5), ly + Math.round(Math.sin(angle) * leafLen * 0.5));
-    ctx.lineTo(lx + Math.round(Math.cos(angle + 0.6) * leafLen * 0.3), ly + Math.round(Math.sin(angle + 0.6) * leafLen * 0.3));
+    ctx.moveTo(1, Math.round(-r * 1.15));
+    ctx.lineTo(Math.round(leafLen * 0.7), Math.round(-r * 1.45));
+    ctx.lineTo(Math.round(leafLen * 0.5), Math.round(-r * 1.05));
     ctx.closePath();
     ctx.fill();
+  } else {
+    const count = skin.leafShape === 'spiky' ? 6 : 4;
+    const width = skin.leafShape === 'spiky' ? 0.3 : 0.6;
+    for (let k = 0; k < count; k++) {
+      const angle = (k * Math.PI * 2) / count;
+      const lx = Math.round(Math.cos(angle) * r * 0.4);
+      const ly = Math.round(-r + Math.sin(angle) * r * 0.2 - r * 0.2);
+      ctx.beginPath();
+      ctx.moveTo(lx, ly);
+      ctx.lineTo(lx + Math.round(Math.cos(angle) * leafLen * 0.5), ly + Math.round(Math.sin(angle) * leafLen * 0.5));
+      ctx.lineTo(lx + Math.round(Math.cos(angle + width) * leafLen * 0.3), ly + Math.round(Math.sin(angle + width) * leafLen * 0.3));
+      ctx.closePath();
+      ctx.fill();
+    }
   }
 
   // No face — keep it clean/minimal
@@ -613,6 +3414,66 @@ function drawStrawberry(x, y, r) {
   ctx.restore();
 }
 
+/**
+ * Draws the collectible seeds still on the course.
+ * @param {ReturnType<typeof createGame>} g
+ * @param {number} alpha - Interpolation factor between the last two steps.
+ */
+function drawPickups(g, alpha) {
+  ctx.fillStyle = '#ffe08a';
+  ctx.strokeStyle = '#0b0d12';
+  ctx.lineWidth = 2;
+  for (const pickup of g.pickups) {
+    const px = Math.round(lerp(pickup.prevX, pickup.x, alpha));
+    const py = Math.round(pickup.y);
+    ctx.strokeRect(px - 3, py - 4, 6, 8);
+    ctx.fillRect(px - 3, py - 4, 6, 8);
+  }
+}
+
+/**
+ * Shows the seeds collected this run in the bottom-left corner, on the ground strip.
+ * @param {number} count
+ */
+function drawSeedCounter(count) {
+  const y = GAME_HEIGHT - game.config.groundHeight / 2;
+  ctx.fillStyle = '#ffe08a';
+  ctx.strokeStyle = '#0b0d12';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(16, y - 5, 7, 10);
+  ctx.fillRect(16, y - 5, 7, 10);
+  ctx.font = 'bold 14px Silkscreen, monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(formatNumber(count), 30, y);
+}
+
+/** Time attack: the time left in the run, centered on the ground. */
+function drawTimeLeft() {
+  const y = GAME_HEIGHT - game.config.groundHeight / 2;
+  const leftMs = Math.max(0, game.config.timeLimit * 1000 - state.tick * STEP_MS);
+  ctx.fillStyle = leftMs < 10000 ? '#f87171' : '#e7e8ea';
+  ctx.font = 'bold 16px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  // Round up so the clock reads 0:00 only once the time is really up
+  ctx.fillText(formatDuration(Math.ceil(leftMs / 1000) * 1000), GAME_WIDTH / 2, y);
+}
+
+/** Hardcore: marks where players flying above the screen are. */
+function drawCeilingMarkers() {
+  game.players.forEach(({ strawberry: s, out }, i) => {
+    if (out || s.y + s.radius >= 0) return;
+    ctx.fillStyle = playerSkin(i).body[0];
+    ctx.beginPath();
+    ctx.moveTo(s.x, 4);
+    ctx.lineTo(s.x + 7, 14);
+    ctx.lineTo(s.x - 7, 14);
+    ctx.closePath();
+    ctx.fill();
+  });
+}
+
 /**
  * Measures the width of a stylized number rendered as `major,minor`.
  * @param {number|string} value
@@ -678,7 +3539,13 @@ function measureTextWithFont(text, px) {
   return ctx.measureText(String(text)).width;
 }
 
-function drawHud() {
+/**
+ * Draws the centered "score/best" plate at the top of the screen.
+ * @param {number} score
+ * @param {number|null} best - Null hides the best part.
+ * @param {boolean} gold - Highlight the score (new best this run).
+ */
+function drawScorePlate(score, best, gold) {
   // Centered: "score/best" with score bigger
   const scorePx = 36;
   const bestPx = 18;
@@ -686,11 +3553,15 @@ function drawHud() {
   const gap = 6;
   const slash = '/';
 
-  const wScore = Math.ceil(measureTextWithFont(state.score, scorePx));
+  const scoreText = formatNumber(score);
+  const bestText = best == null ? '' : formatNumber(best);
+  const wScore = Math.ceil(measureTextWithFont(scoreText, scorePx));
   const wSlash = Math.ceil(measureTextWithFont(slash, slashPx));
-  const wBest = Math.ceil(measureTextWithFont(state.best, bestPx));
+  const wBest = Math.ceil(measureTextWithFont(bestText, bestPx));
   const paddingX = 16;
-  const totalW = wScore + gap + wSlash + gap + wBest + paddingX * 2;
+  const totalW = best == null
+    ? wScore + paddingX * 2
+    : wScore + gap + wSlash + gap + wBest + paddingX * 2;
   const rectX = Math.round(GAME_WIDTH / 2 - totalW / 2);
   const rectY = 24;
   const rectH = 54;
@@ -711,10 +3582,11 @@ function drawHud() {
   ctx.textBaseline = 'alphabetic';
   let cursorX = rectX + paddingX;
   // Gold when current score surpasses best at least once in this run
-  ctx.fillStyle = state.newBestAchieved ? '#facc15' : '#e7e8ea';
+  ctx.fillStyle = gold ? '#facc15' : '#e7e8ea';
   ctx.font = `bold ${scorePx}px Silkscreen, monospace`;
-  ctx.fillText(String(state.score), cursorX, baseY);
+  ctx.fillText(scoreText, cursorX, baseY);
   cursorX += wScore + gap;
+  if (best == null) return;
 
   // Draw slash
   ctx.fillStyle = '#9aa0a6';
@@ -724,18 +3596,581 @@ function drawHud() {
 
   // Draw best (smaller)
   ctx.font = `bold ${bestPx}px Silkscreen, monospace`;
-  ctx.fillText(String(state.best), cursorX, baselineFor(bestPx));
+  ctx.fillText(bestText, cursorX, baselineFor(bestPx));
+}
 
-  if (!state.started) {
-    drawCenterMessage(['Press to start']);
-  } else if (state.gameOver) {
-    drawCenterMessage(['GAME OVER', 'Press to restart']);
+function drawHud() {
+  if (session.versus) {
+    drawVersusScores();
+  } else if (editor.testing) {
+    drawScorePlate(state.score, null, false);
+    if (state.started && !state.gameOver) drawPowerUpTimers(game);
+    if (state.started) drawCourseProgress();
+  } else {
+    drawScorePlate(state.score, settings.showBest ? state.best : null, state.newBestAchieved);
+    if (state.started && !state.gameOver) drawPowerUpTimers(game);
+    if (state.started) drawSeedCounter(state.seedsCollected);
+  }
+  if (state.started && game.config.timeLimit > 0 && !editor.testing) drawTimeLeft();
+  if (state.started && game.config.ceilingClamp <= 0) drawCeilingMarkers();
+  if (session.ghost && state.started && settings.showGhostStatus) drawGhostStatus(session.ghost.game);
+
+  if (session.screen) {
+    drawMenuScreen();
+    return;
+  }
+
+  if (session.paused) {
+    const panel = drawCenterMessage([t('hud.paused')]);
+    drawButton(t('hud.resume'), panel.y + panel.h + 12, true, resumeGame);
+    drawButton(t('hud.restart'), panel.y + panel.h + 48, false, restartFromPause);
+    if (editor.testing) drawButton(t('editor.backToEditor'), panel.y + panel.h + 84, false, showEditor);
+    else if (game.config.zen > 0) drawButton(t('hud.endRun'), panel.y + panel.h + 84, false, endZenRun);
+    return;
+  }
+  if (session.countdown > 0) {
+    drawCountdown(Math.ceil(session.countdown / 1000));
+    return;
+  }
+  if (isRunning()) drawPauseButton();
+
+  if (editor.testing) {
+    if (!state.started || (state.gameOver && effects.dying <= 0)) drawCourseTestPanel();
+  } else if (!state.started) {
+    const lines = [t('hud.pressStart')];
+    if (!session.daily && urlSeed.seed != null) lines.push(t('hud.seed', { seed: formatSeed(urlSeed.seed) }));
+    if (session.versus) {
+      lines.push(t('hud.versusKeys', {
+        p1: bindingsSummary(settings.player1Bindings),
+        p2: bindingsSummary(settings.player2Bindings),
+      }));
+      lines.push(t('hud.versusTouch'));
+    }
+    const panel = drawCenterMessage(lines);
+    drawDifficultyPicker(panel.y + panel.h + 12);
+    const dailyLabel = session.daily ? t('hud.daily', { date: dailyKey() }) : t('hud.dailyChallenge');
+    drawButton(dailyLabel, panel.y + panel.h + 48, session.daily, toggleDaily);
+    const ghostLabel = session.ghostLog ? t(settings.ghostEnabled ? 'hud.ghostOn' : 'hud.ghostOff') : t('hud.ghostNone');
+    drawButtonGrid([
+      { label: t('hud.mode', { mode: t(`mode.${settings.mode}`) }), active: settings.mode !== 'endless', onPress: cycleMode },
+      { label: ghostLabel, active: settings.ghostEnabled && Boolean(session.ghostLog), onPress: toggleGhost },
+      { label: t('hud.importReplay'), onPress: importReplayFile },
+      { label: t('screen.leaderboard'), onPress: () => openScreen('leaderboard') },
+      { label: t('screen.history'), onPress: () => openScreen('history') },
+      { label: t('screen.settings'), onPress: () => openScreen('settings') },
+      { label: t('screen.skins'), onPress: () => openScreen('skins') },
+      { label: t('screen.achievements'), onPress: () => openScreen('achievements') },
+      { label: t(session.versus ? 'hud.versusOn' : 'hud.versusOff'), active: session.versus, onPress: toggleVersus },
+      { label: t('editor.open'), onPress: openEditor },
+    ], panel.y + panel.h + 84);
+  } else if (state.gameOver && effects.dying <= 0 && session.versus) {
+    drawVersusResult();
+  } else if (state.gameOver && effects.dying <= 0) {
+    const seedLine = state.dailyKey ? t('hud.daily', { date: state.dailyKey }) : t('hud.seed', { seed: formatSeed(state.seed) });
+    const lines = [t(state.timeUp ? 'hud.timeUp' : 'hud.gameOver'), seedLine];
+    if (state.seedsCollected > 0) {
+      lines.push(t('hud.seedsEarned', { seeds: formatNumber(state.seedsCollected), total: formatNumber(wallet.seeds) }));
+    }
+    lines.push(t('hud.pressRestart'));
+    const panel = drawCenterMessage(lines);
+    const log = session.lastRun;
+    if (log) {
+      drawButton(t('hud.watchReplay'), panel.y + panel.h + 12, false, () => openReplay(log));
+      const y = panel.y + panel.h + 48;
+      drawButtonAt(t('hud.saveFile'), GAME_WIDTH / 2 - 110, y, 106, 28, false, () => exportReplayFile(log));
+      drawButtonAt(t('hud.copyLink'), GAME_WIDTH / 2 + 4, y, 106, 28, false, () => copyReplayLink(log));
+    }
+    drawClipButton(panel.y + panel.h + (log ? 84 : 12));
+  }
+  if (session.updateWorker && (!state.started || (state.gameOver && effects.dying <= 0))) {
+    drawButton(t('hud.update'), GAME_HEIGHT - game.config.groundHeight - 40, true, applyUpdate);
+  }
+}
+
+/** Draws the open menu screen as a list of rows over a dimmed playfield. */
+function drawMenuScreen() {
+  const screen = SCREENS[session.screen];
+  const items = screen.items();
+  if (session.menuIndex >= items.length) session.menuIndex = items.length - 1;
+
+  ctx.fillStyle = 'rgba(0,0,0,0.6)';
+  ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.font = 'bold 20px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(t(screen.title), GAME_WIDTH / 2, 110);
+
+  const rowH = 34;
+  const x = 24;
+  const w = GAME_WIDTH - 48;
+  let y = screen.draw ? screen.draw(140) : 140;
+  // Long menus scroll so the highlighted row stays on screen
+  const visible = Math.max(1, Math.floor((GAME_HEIGHT - 8 - y) / rowH));
+  const first = Math.min(Math.max(0, session.menuIndex - visible + 1), Math.max(0, items.length - visible));
+  items.forEach((item, i) => {
+    if (i < first || i >= first + visible) return;
+    const selected = i === session.menuIndex;
+    ctx.fillStyle = selected ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.45)';
+    ctx.fillRect(x, y, w, rowH - 4);
+    ctx.font = 'bold 12px Silkscreen, monospace';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = selected ? '#facc15' : '#e7e8ea';
+    ctx.fillText(item.label, x + 10, y + (rowH - 4) / 2);
+    if (item.value) {
+      ctx.textAlign = 'right';
+      ctx.fillStyle = '#9aa0a6';
+      const text = item.adjust ? `< ${item.value()} >` : item.value();
+      ctx.fillText(text, x + w - 10, y + (rowH - 4) / 2);
+    }
+    // Tapping the left third of an adjustable row steps back, anywhere else forward/activates
+    addHitRegion(x, y, w, rowH - 4, (gx) => {
+      session.menuIndex = i;
+      if (item.adjust && !item.activate && gx < x + w / 3) item.adjust(-1);
+      else activateMenuItem(item);
+    });
+    y += rowH;
+  });
+}
+
+/** Draws the small on-canvas pause button in the top-right corner. */
+function drawPauseButton() {
+  const size = 32;
+  const x = GAME_WIDTH - size - 12;
+  const y = 24;
+  ctx.fillStyle = 'rgba(0,0,0,0.45)';
+  ctx.fillRect(x, y, size, size);
+  ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+  ctx.strokeRect(x, y, size, size);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.fillRect(x + 10, y + 9, 4, 14);
+  ctx.fillRect(x + 18, y + 9, 4, 14);
+  addHitRegion(x, y, size, size, pauseGame);
+}
+
+/**
+ * Draws the big resume countdown number.
+ * @param {number} n
+ */
+function drawCountdown(n) {
+  ctx.font = 'bold 64px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.fillText(String(n), GAME_WIDTH / 2 + 3, GAME_HEIGHT * 0.36 + 3);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.fillText(String(n), GAME_WIDTH / 2, GAME_HEIGHT * 0.36);
+}
+
+/**
+ * Draws the easy/normal/hard selector as a row of buttons.
+ * @param {number} y - Top edge in game units.
+ */
+function drawDifficultyPicker(y) {
+  const w = 80;
+  const gap = 8;
+  let x = Math.round((GAME_WIDTH - (w * DIFFICULTY_IDS.length + gap * (DIFFICULTY_IDS.length - 1))) / 2);
+  for (const id of DIFFICULTY_IDS) {
+    drawButtonAt(t(`difficulty.${id}`), x, y, w, 28, settings.difficulty === id, () => selectDifficulty(id));
+    x += w + gap;
+  }
+}
+
+/**
+ * Shows whether the player is ahead of or behind the ghost, by pipes passed.
+ * @param {ReturnType<typeof createGame>} ghostGame
+ */
+function drawGhostStatus(ghostGame) {
+  const diff = state.score - ghostGame.state.score;
+  let label = t('ghost.even');
+  let color = '#9aa0a6';
+  if (ghostGame.state.gameOver && !state.gameOver) {
+    label = t('ghost.beaten');
+    color = '#4ade80';
+  } else if (diff > 0) {
+    label = t('ghost.ahead', { diff: formatNumber(diff) });
+    color = '#4ade80';
+  } else if (diff < 0) {
+    label = t('ghost.behind', { diff: formatNumber(diff) });
+    color = '#f87171';
+  }
+  ctx.fillStyle = color;
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, GAME_WIDTH / 2, 92);
+}
+
+/** Draws the replay viewer: run info, transport controls and the scrub bar. */
+function drawReplayHud() {
+  const { player, playing, speed } = session.replay;
+  const g = player.game;
+  drawScorePlate(g.state.score, player.log.score, false);
+  if (!g.state.gameOver) drawPowerUpTimers(g);
+
+  const info = player.log.daily
+    ? t('replay.daily', { date: player.log.daily })
+    : t('replay.seed', { seed: formatSeed(player.log.seed) });
+  ctx.fillStyle = '#9aa0a6';
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(info, GAME_WIDTH / 2, 92);
+  drawButtonAt(t('hud.saveFile'), GAME_WIDTH / 2 - 110, 104, 106, 24, false, () => exportReplayFile(player.log));
+  drawButtonAt(t('hud.copyLink'), GAME_WIDTH / 2 + 4, 104, 106, 24, false, () => copyReplayLink(player.log));
+
+  // Scrub bar
+  const barX = 16;
+  const barY = GAME_HEIGHT - 64;
+  const barW = GAME_WIDTH - 32;
+  const barH = 10;
+  const progress = player.log.ticks ? g.state.tick / player.log.ticks : 1;
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.fillRect(barX, barY, barW, barH);
+  ctx.fillStyle = '#ff2f67';
+  ctx.fillRect(barX, barY, Math.round(barW * progress), barH);
+  const scrubTo = (gx) => seekReplay(((gx - barX) / barW) * player.log.ticks);
+  // Generous touch target around the thin bar
+  addHitRegion(barX, barY - 8, barW, barH + 16, (gx) => {
+    scrubTo(gx);
+    return scrubTo;
+  });
+
+  // Transport buttons
+  const y = GAME_HEIGHT - 46;
+  const w = 60;
+  const gap = 8;
+  let x = Math.round((GAME_WIDTH - (w * 5 + gap * 4)) / 2);
+  drawButtonAt(playing ? t('replay.pause') : t('replay.play'), x, y, w, 24, playing, toggleReplayPlaying);
+  for (const option of REPLAY_SPEEDS) {
+    x += w + gap;
+    drawButtonAt(`${option}x`, x, y, w, 24, speed === option, () => {
+      session.replay.speed = option;
+    });
+  }
+  x += w + gap;
+  drawButtonAt(t('replay.exit'), x, y, w, 24, false, closeReplay);
+}
+
+/**
+ * Draws a course's checkered finish line.
+ * @param {number} x - Left edge.
+ */
+function drawFinishLine(x) {
+  const size = 6;
+  if (x > GAME_WIDTH || x + size * 2 < 0) return;
+  const bottom = GAME_HEIGHT - game.config.groundHeight;
+  for (let y = 0; y < bottom; y += size) {
+    for (let col = 0; col < 2; col++) {
+      ctx.fillStyle = (y / size + col) % 2 ? '#0b0d12' : '#e7e8ea';
+      ctx.fillRect(x + col * size, y, size, Math.min(size, bottom - y));
+    }
+  }
+}
+
+/**
+ * Outlines where a moving obstacle's gap goes: the edges of its bobbing range, or the gap
+ * it closes to by the time it reaches the player.
+ * @param {import('./course.js').CourseObstacle} obstacle
+ * @param {number} x - Screen x of the obstacle.
+ */
+function drawObstacleMotion(obstacle, x) {
+  const config = game.config;
+  let shift = 0;
+  if (obstacle.motion === 'oscillate') shift = config.oscillateAmplitude;
+  else if (obstacle.motion === 'closing') shift = -Math.min(config.closingAmount, Math.max(0, obstacle.gap - config.minPipeGap)) / 2;
+  else return;
+  ctx.fillStyle = '#60a5fa';
+  ctx.fillRect(x - 4, Math.round(obstacle.gapY - obstacle.gap / 2 - shift) - 1, config.pipeWidth + 8, 2);
+  ctx.fillRect(x - 4, Math.round(obstacle.gapY + obstacle.gap / 2 + shift) - 1, config.pipeWidth + 8, 2);
+}
+
+/** Draws the edited course at the editor's scroll position, with handles for dragging. */
+function drawEditorCourse() {
+  const { course, scrollX } = editor;
+  const config = game.config;
+  const floor = GAME_HEIGHT - config.groundHeight;
+  const w = config.pipeWidth;
+
+  // Dragging empty space scrolls the view; tapping it clears the selection
+  addHitRegion(0, 0, GAME_WIDTH, GAME_HEIGHT, (gx) => {
+    editor.selected = -1;
+    const grabX = editor.scrollX + gx;
+    return (mx) => scrollEditor(grabX - mx);
+  });
+
+  const s = game.strawberry;
+  drawStrawberry(s.x - scrollX, s.y, s.radius, 0, 0.5);
+
+  course.obstacles.forEach((obstacle, i) => {
+    const x = obstacle.x - scrollX;
+    if (x > GAME_WIDTH || x + w < 0) return;
+    const styles = obstacle.style
+      ? { top: obstacle.style, bottom: obstacle.style }
+      : pickObstacleStyles(game.theme, i, () => 0);
+    const top = Math.round(obstacle.gapY - obstacle.gap / 2);
+    const bottom = top + obstacle.gap;
+    drawObstacle(obstacleStyle(styles.top, 'top'), x, 0, w, top);
+    drawObstacle(obstacleStyle(styles.bottom, 'bottom'), x, bottom, w, floor - bottom);
+    drawObstacleMotion(obstacle, x);
+    if (obstacle.powerUp) drawPowerUpIcon(obstacle.powerUp, x + w / 2, obstacle.gapY, config.powerUpRadius);
+
+    // Dragging an obstacle moves it around
+    addHitRegion(x, 0, w, floor, (gx, gy) => {
+      editor.selected = i;
+      const grabX = obstacle.x - (editor.scrollX + gx);
+      const grabY = obstacle.gapY - gy;
+      return (mx, my) => {
+        obstacle.x = editor.scrollX + mx + grabX;
+        obstacle.gapY = my + grabY;
+        courseChanged();
+      };
+    });
+    if (i !== editor.selected) return;
+    ctx.strokeStyle = '#facc15';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 1, 0, w + 2, floor);
+    // Dragging either edge of the gap resizes it around its center
+    for (const edgeY of [top, bottom]) {
+      ctx.fillStyle = '#facc15';
+      ctx.fillRect(x + w / 2 - 12, edgeY - 4, 24, 8);
+      addHitRegion(x + w / 2 - 16, edgeY - 10, 32, 20, () => (mx, my) => {
+        obstacle.gap = Math.abs(my - obstacle.gapY) * 2;
+        courseChanged();
+      });
+    }
+  });
+
+  const finishX = course.finish - scrollX;
+  drawFinishLine(finishX);
+  addHitRegion(finishX - 8, 0, 28, floor, () => (mx) => {
+    course.finish = editor.scrollX + mx;
+    courseChanged();
+  });
+}
+
+/** Draws the editor's header, the selected obstacle's tools and the toolbar. */
+function drawEditorHud() {
+  const { course } = editor;
+  const floor = GAME_HEIGHT - game.config.groundHeight;
+  // Taps on the bars never reach the course
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.fillRect(0, 0, GAME_WIDTH, 56);
+  addHitRegion(0, 0, GAME_WIDTH, 56, () => {});
+  addHitRegion(0, floor, GAME_WIDTH, GAME_HEIGHT - floor, () => {});
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#e7e8ea';
+  ctx.font = 'bold 14px Silkscreen, monospace';
+  ctx.fillText(t('editor.title'), GAME_WIDTH / 2, 16);
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.fillText(t('editor.info', { name: course.name, count: formatNumber(course.obstacles.length) }), GAME_WIDTH / 2, 32);
+  ctx.fillStyle = '#9aa0a6';
+  ctx.fillText(t('editor.hint'), GAME_WIDTH / 2, 46);
+
+  const obstacle = selectedObstacle();
+  if (obstacle) {
+    // Style ids double as their display names
+    const style = obstacle.style && obstacle.style[0].toUpperCase() + obstacle.style.slice(1);
+    const tools = [
+      { label: t('editor.gapSmaller'), onPress: () => resizeGap(-1) },
+      { label: t('editor.gapLarger'), onPress: () => resizeGap(1) },
+      {
+        label: t(`editor.motion.${obstacle.motion}`),
+        active: obstacle.motion !== 'static',
+        onPress: () => cycleObstacle('motion', OBSTACLE_MOTIONS),
+      },
+      {
+        label: style || t('editor.styleTheme'),
+        active: Boolean(style),
+        onPress: () => cycleObstacle('style', EDITOR_STYLES),
+      },
+      {
+        label: obstacle.powerUp ? t(`powerUp.${obstacle.powerUp}`) : t('editor.noPowerUp'),
+        active: Boolean(obstacle.powerUp),
+        onPress: () => cycleObstacle('powerUp', EDITOR_POWERUPS),
+      },
+      { label: t('editor.delete'), onPress: deleteObstacle },
+    ];
+    tools.forEach((b, i) => {
+      drawButtonAt(b.label, 8 + (i % 3) * 116, 62 + Math.floor(i / 3) * 28, 112, 24, Boolean(b.active), b.onPress);
+    });
+  }
+
+  // Overview of the whole course; tap or drag it to jump around
+  const barX = 16;
+  const barY = floor + 6;
+  const barW = GAME_WIDTH - 32;
+  const span = course.finish + 80;
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.fillRect(barX, barY, barW, 8);
+  ctx.fillStyle = 'rgba(255,255,255,0.2)';
+  ctx.fillRect(barX + Math.round((editor.scrollX / span) * barW), barY, Math.round((GAME_WIDTH / span) * barW), 8);
+  course.obstacles.forEach((o, i) => {
+    ctx.fillStyle = i === editor.selected ? '#facc15' : '#e7e8ea';
+    ctx.fillRect(barX + Math.round((o.x / span) * barW), barY + 1, 2, 6);
+  });
+  ctx.fillStyle = '#ff2f67';
+  ctx.fillRect(barX + Math.round((course.finish / span) * barW), barY, 2, 8);
+  const jump = (gx) => scrollEditor(((gx - barX) / barW) * span - GAME_WIDTH / 2);
+  addHitRegion(barX, barY - 4, barW, 16, (gx) => {
+    jump(gx);
+    return jump;
+  });
+
+  const buttons = [
+    { label: t('editor.add'), onPress: addObstacle },
+    { label: t('editor.test'), active: true, onPress: testCourse },
+    { label: t('editor.exit'), onPress: closeEditor },
+    { label: t('editor.import'), onPress: importCourseFile },
+    { label: t('editor.export'), onPress: exportCourseFile },
+  ];
+  buttons.forEach((b, i) => {
+    drawButtonAt(b.label, 8 + (i % 3) * 116, floor + 20 + Math.floor(i / 3) * 26, 112, 22, Boolean(b.active), b.onPress);
+  });
+}
+
+/** Draws the time and a progress bar while test-playing a course. */
+function drawCourseProgress() {
+  const floor = GAME_HEIGHT - game.config.groundHeight;
+  const time = state.finished ? state.finishMs : state.tick * STEP_MS;
+  ctx.fillStyle = '#e7e8ea';
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(t('editor.time', { time: formatCourseTime(time) }), GAME_WIDTH / 2, floor + 20);
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.fillRect(24, floor + 34, GAME_WIDTH - 48, 8);
+  ctx.fillStyle = '#ff2f67';
+  ctx.fillRect(24, floor + 34, Math.round((GAME_WIDTH - 48) * courseProgress()), 8);
+}
+
+/** Draws the idle and result panels of a course test run. */
+function drawCourseTestPanel() {
+  let lines;
+  if (!state.started) lines = [t('editor.testStart'), game.course.name];
+  else if (state.finished) lines = [t('editor.finished'), t('editor.time', { time: formatCourseTime(state.finishMs) }), t('hud.pressRestart')];
+  else lines = [t('editor.crashed'), t('editor.progress', { percent: Math.round(courseProgress() * 100) }), t('hud.pressRestart')];
+  const panel = drawCenterMessage(lines);
+  drawButton(t('editor.backToEditor'), panel.y + panel.h + 12, false, showEditor);
+  if (state.started) drawClipButton(panel.y + panel.h + 48);
+}
+
+/**
+ * Draws a tappable button and registers its hit region.
+ * @param {string} label
+ * @param {number} x - Left edge in game units.
+ * @param {number} y - Top edge in game units.
+ * @param {number} w
+ * @param {number} h
+ * @param {boolean} active - Highlights the label when the option is on.
+ * @param {(gx:number, gy:number) => void} onPress
+ */
+function drawButtonAt(label, x, y, w, h, active, onPress) {
+  ctx.fillStyle = 'rgba(0,0,0,0.45)';
+  ctx.fillRect(x, y, w, h);
+  ctx.strokeStyle = active ? 'rgba(250,204,21,0.6)' : 'rgba(255,255,255,0.08)';
+  ctx.strokeRect(x, y, w, h);
+  ctx.fillStyle = active ? '#facc15' : '#9aa0a6';
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, Math.round(x + w / 2), Math.round(y + h / 2));
+  addHitRegion(x, y, w, h, onPress);
+}
+
+/**
+ * Lays out buttons in two centered columns.
+ * @param {{label:string, active?:boolean, onPress:() => void}[]} buttons
+ * @param {number} y - Top edge of the first row.
+ */
+function drawButtonGrid(buttons, y) {
+  const w = 150;
+  const h = 28;
+  const gap = 8;
+  const left = Math.round((GAME_WIDTH - w * 2 - gap) / 2);
+  buttons.forEach((b, i) => {
+    // A button left alone on the last row is centered
+    const alone = i === buttons.length - 1 && i % 2 === 0;
+    const x = alone ? Math.round((GAME_WIDTH - w) / 2) : left + (i % 2) * (w + gap);
+    const top = y + Math.floor(i / 2) * (h + gap);
+    drawButtonAt(b.label, x, top, w, h, Boolean(b.active), b.onPress);
+  });
+}
+
+/**
+ * Draws a horizontally centered button sized to its label.
+ * @param {string} label
+ * @param {number} y - Top edge in game units.
+ * @param {boolean} active - Highlights the label when the option is on.
+ * @param {() => void} onPress
+ */
+function drawButton(label, y, active, onPress) {
+  const paddingX = 12;
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  const w = Math.round(ctx.measureText(label).width + paddingX * 2);
+  drawButtonAt(label, Math.round((GAME_WIDTH - w) / 2), y, w, 28, active, onPress);
+}
+
+/** Draws the current notice, if it has not expired yet. */
+function drawNotice() {
+  const notice = session.notice;
+  if (!notice) return;
+  if (lastTime > notice.until) {
+    session.notice = null;
+    return;
   }
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  const w = Math.round(ctx.measureText(notice.text).width + 24);
+  const x = Math.round((GAME_WIDTH - w) / 2);
+  const y = 136;
+  ctx.fillStyle = 'rgba(0,0,0,0.7)';
+  ctx.fillRect(x, y, w, 26);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(notice.text, GAME_WIDTH / 2, y + 13);
+}
+
+/** Draws the oldest achievement toast, sliding it in below the score and back out. */
+function drawToast() {
+  const toast = toasts[0];
+  if (!toast) return;
+  const w = 260;
+  const h = 44;
+  const x = Math.round((GAME_WIDTH - w) / 2);
+  const slide = Math.min(1, toast.ageMs / TOAST_SLIDE_MS, (TOAST_MS - toast.ageMs) / TOAST_SLIDE_MS);
+  const eased = settings.reducedMotion ? 1 : 1 - (1 - slide) ** 3;
+  const y = Math.round(-h + (88 + h) * eased);
+
+  ctx.fillStyle = 'rgba(0,0,0,0.8)';
+  ctx.fillRect(x, y, w, h);
+  ctx.strokeStyle = '#facc15';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+  // Pixel trophy
+  ctx.fillStyle = '#facc15';
+  ctx.fillRect(x + 12, y + 10, 16, 10);
+  ctx.fillRect(x + 9, y + 12, 3, 5);
+  ctx.fillRect(x + 28, y + 12, 3, 5);
+  ctx.fillRect(x + 18, y + 20, 4, 6);
+  ctx.fillRect(x + 14, y + 26, 12, 4);
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#facc15';
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.fillText(t('achievements.toast'), x + 40, y + 14);
+  ctx.fillStyle = '#e7e8ea';
+  ctx.font = 'bold 12px Silkscreen, monospace';
+  ctx.fillText(t(`achievement.${toast.achievement.id}`), x + 40, y + 30);
 }
 
 /**
  * Draws a centered, multi-line message panel above the playfield.
  * @param {string|string[]} lines
+ * @returns {{x:number,y:number,w:number,h:number}} The panel bounds.
  */
 function drawCenterMessage(lines) {
   const safeLines = Array.isArray(lines) ? lines : [String(lines)];
@@ -763,20 +4198,197 @@ function drawCenterMessage(lines) {
   for (let i = 0; i < safeLines.length; i++) {
     ctx.fillText(safeLines[i], GAME_WIDTH / 2, y + paddingY + i * lineHeight + lineHeight / 2);
   }
+  return { x, y, w, h };
+}
+
+/**
+ * Debug overlay: the player's hitbox polygons, pipe rectangles and, after a crash, the
+ * point where the fatal contact happened.
+ * @param {ReturnType<typeof createGame>} g
+ * @param {number} alpha - Interpolation factor between the last two steps.
+ * @param {{player:number, y:number, rotation:number}|null} fall - Tumble pose after the last crash, if drawn.
+ */
+function drawHitboxDebug(g, alpha, fall) {
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#f87171';
+  for (const pipe of g.pipes) {
+    const px = lerp(pipe.prevX, pipe.x, alpha);
+    const top = lerp(pipe.prevTopHeight, pipe.topHeight, alpha);
+    const bottomY = top + lerp(pipe.prevGap, pipe.gap, alpha);
+    ctx.strokeRect(px + 0.5, 0.5, pipe.width - 1, top - 1);
+    ctx.strokeRect(px + 0.5, bottomY + 0.5, pipe.width - 1, GAME_HEIGHT - g.config.groundHeight - bottomY - 1);
+  }
+  g.players.forEach((player, index) => {
+    const s = player.strawberry;
+    const pose = g.state.gameOver
+      ? { x: s.x, y: s.y, radius: s.radius, rotation: s.rotation }
+      : { x: lerp(s.prevX, s.x, alpha), y: lerp(s.prevY, s.y, alpha), radius: s.radius, rotation: lerp(s.prevRotation, s.rotation, alpha) };
+    // At game over this is where the hit happened, even while the tumble is drawn elsewhere
+    ctx.strokeStyle = fall && fall.player === index ? 'rgba(74,222,128,0.6)' : '#4ade80';
+    for (const poly of strawberryHitbox(pose, g.config.forgivingHitbox > 0)) {
+      ctx.beginPath();
+      poly.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.closePath();
+      ctx.stroke();
+    }
+    const contact = player.contact;
+    if (contact) {
+      ctx.fillStyle = '#facc15';
+      ctx.fillRect(Math.round(contact.x) - 2, Math.round(contact.y) - 2, 5, 5);
+      ctx.fillRect(Math.round(contact.x) - 6, Math.round(contact.y), 13, 1);
+      ctx.fillRect(Math.round(contact.x), Math.round(contact.y) - 6, 1, 13);
+    }
+  });
+  ctx.restore();
+}
+
+/**
+ * @param {ReturnType<typeof createGame>} g
+ * @returns {string} What the overlay reports the game to be doing.
+ */
+function devStateLabel(g) {
+  if (session.replay) return 'replay';
+  if (session.paused) return 'paused';
+  if (session.countdown > 0) return 'countdown';
+  if (!g.state.started) return 'idle';
+  if (g.state.gameOver) return effects.dying > 0 ? 'dying' : 'over';
+  return dev.frozen ? 'frozen' : 'running';
+}
+
+/**
+ * Developer overlay: frame timing, entity counts, tuning sliders and tool buttons.
+ * @param {ReturnType<typeof createGame>} g - Game being shown.
+ */
+function drawDevOverlay(g) {
+  const x = 8;
+  const y = 150;
+  const w = GAME_WIDTH - 16;
+  const rowH = 20;
+  const h = 58 + DEV_PARAMS.length * rowH + 58;
+  ctx.fillStyle = 'rgba(0,0,0,0.72)';
+  ctx.fillRect(x, y, w, h);
+  // Taps on the panel never reach the game
+  addHitRegion(x, y, w, h, () => {});
+
+  ctx.font = 'bold 10px Silkscreen, monospace';
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#e7e8ea';
+  const fps = `FPS ${Math.round(frameStats.fps)}  ${frameStats.averageMs.toFixed(1)} ms (max ${frameStats.worstMs.toFixed(1)})`;
+  ctx.fillText(fps, x + 8, y + 12);
+  ctx.fillStyle = '#9aa0a6';
+  ctx.fillText(`Pipes ${g.pipes.length}  Seeds ${g.pickups.length}  Particles ${particles.count}`, x + 8, y + 28);
+  const flags = [devStateLabel(g), `tick ${g.state.tick}`, `x${dev.timeScale}`];
+  if (state.invincible) flags.push('invincible');
+  if (dev.tainted) flags.push('dev run');
+  ctx.fillText(flags.join('  '), x + 8, y + 44);
+
+  const barX = x + 110;
+  const barW = 160;
+  DEV_PARAMS.forEach((param, i) => {
+    const top = y + 58 + i * rowH;
+    const value = game.config[param.key];
+    const t = Math.min(1, Math.max(0, (value - param.min) / (param.max - param.min)));
+    ctx.fillStyle = i === dev.index ? '#facc15' : '#9aa0a6';
+    ctx.textAlign = 'left';
+    ctx.fillText(param.label, x + 8, top + rowH / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(value), x + w - 8, top + rowH / 2);
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.fillRect(barX, top + 7, barW, 6);
+    ctx.fillStyle = '#ff2f67';
+    ctx.fillRect(barX, top + 7, Math.round(barW * t), 6);
+    ctx.fillStyle = '#e7e8ea';
+    ctx.fillRect(barX + Math.round(barW * t) - 2, top + 4, 4, 12);
+    const drag = (gx) => {
+      dev.index = i;
+      setDevParam(param, param.min + ((gx - barX) / barW) * (param.max - param.min));
+    };
+    addHitRegion(barX - 4, top, barW + 8, rowH, (gx) => {
+      drag(gx);
+      return drag;
+    });
+  });
+
+  const buttons = [
+    { label: dev.frozen ? 'Run' : 'Freeze', active: dev.frozen, onPress: () => (dev.frozen = !dev.frozen) },
+    { label: 'Step', onPress: stepDevFrame },
+    { label: `Speed x${dev.timeScale}`, active: dev.timeScale !== 1, onPress: cycleTimeScale },
+    { label: 'Invincible', active: state.invincible, onPress: toggleInvincible },
+    { label: 'Reset', onPress: resetDevParams },
+    { label: 'Export', onPress: exportDevPreset },
+  ];
+  const bw = Math.floor((w - 16 - 8 * 2) / 3);
+  const by = y + 58 + DEV_PARAMS.length * rowH + 6;
+  buttons.forEach((b, i) => {
+    drawButtonAt(b.label, x + 8 + (i % 3) * (bw + 8), by + Math.floor(i / 3) * 26, bw, 22, Boolean(b.active), b.onPress);
+  });
 }
 
-/** Performs a full frame render: background, pipes, player, HUD and composite. */
-function draw() {
+/**
+ * Performs a full frame render: background, pipes, player, HUD and composite.
+ * @param {number} alpha - How far (0..1) the render time is between the last two simulation steps.
+ */
+function draw(alpha) {
+  hitRegions.length = 0;
+
   // Clear buffer at native resolution (ignore current transform)
   ctx.save();
   ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.clearRect(0, 0, buffer.width, buffer.height);
   ctx.restore();
 
-  drawBackground();
-  drawPipes();
-  drawStrawberry(strawberry.x, strawberry.y, strawberry.radius);
-  drawHud();
+  // Either the live game or the replay being watched
+  const g = session.replay ? session.replay.player.game : game;
+
+  // Screen shake moves the playfield only; the HUD stays put
+  ctx.save();
+  if (effects.shake > 0) {
+    const amount = SHAKE_PX * (effects.shake / SHAKE_MS);
+    ctx.fillStyle = `rgb(${backgroundPalette(g).skyTop.join(', ')})`;
+    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+    ctx.translate(Math.round((Math.random() * 2 - 1) * amount), Math.round((Math.random() * 2 - 1) * amount));
+  }
+  drawBackground(g, alpha);
+  if (editor.open) {
+    drawEditorCourse();
+  } else {
+    drawPickups(g, alpha);
+    drawPipes(g, alpha);
+    if (g.course && g.state.started) drawFinishLine(Math.round(lerp(g.finishLine.prevX, g.finishLine.x, alpha)));
+    const ghost = !session.replay && state.started && session.ghost ? session.ghost.game : null;
+    if (ghost && !ghost.state.gameOver) {
+      const gs = ghost.strawberry;
+      drawStrawberry(gs.x, lerp(gs.prevY, gs.y, alpha), gs.radius, lerp(gs.prevRotation, gs.rotation, alpha), 0.35);
+    }
+    const fall = !session.replay && state.gameOver ? effects.fall : null;
+    g.players.forEach((player, i) => {
+      const s = player.strawberry;
+      if (fall && fall.player === i) {
+        drawStrawberry(s.x, fall.y, s.radius, fall.rotation, 1, playerSkin(i));
+        return;
+      }
+      const x = lerp(s.prevX, s.x, alpha);
+      const y = lerp(s.prevY, s.y, alpha);
+      drawStrawberry(x, y, s.radius, lerp(s.prevRotation, s.rotation, alpha), 1, playerSkin(i));
+      if (!player.out && player.powerUps.shield > 0) drawShieldBubble(x, y, s.radius);
+      if (g.players.length > 1 && !player.out) drawPlayerTag(i, x, y - s.radius - 14);
+    });
+    drawParticles();
+    if (settings.showHitboxes) drawHitboxDebug(g, alpha, fall);
+  }
+  ctx.restore();
+  if (effects.flash > 0) {
+    ctx.fillStyle = `rgba(255,255,255,${(0.7 * effects.flash / FLASH_MS).toFixed(3)})`;
+    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+  }
+  if (session.replay) drawReplayHud();
+  else if (editor.open) drawEditorHud();
+  else drawHud();
+  if (dev.open) drawDevOverlay(g);
+  drawNotice();
+  drawToast();
 
   // Composite buffer → screen (no smoothing → pixel-art upscale)
   screenCtx.save();
@@ -0,0 +1,205 @@
+/**
+ * Flappy Strawberry — procedural chiptune soundtrack
+ *
+ * A tiny step sequencer on top of WebAudio. Notes are scheduled slightly ahead of
+ * `audioCtx.currentTime` from a short timer, so playback stays tight even when frames
+ * are late. Intensity (0-3) adds layers: bass and kick, then hats and arpeggio, then the
+ * lead, then a faster tempo. The browser adapter owns the AudioContext and buses.
+ */
+
+const STEPS_PER_BAR = 16; // sixteenth notes
+const SCHEDULE_AHEAD_S = 0.12;
+const TIMER_MS = 25;
+const BASE_BPM = 132;
+
+// A minor: Am - F - C - G, one chord per bar (semitones from A)
+const CHORDS = [
+  [0, 3, 7],
+  [-4, 0, 3],
+  [3, 7, 10],
+  [-2, 2, 5],
+];
+
+// Lead melody over the four bars, one entry per sixteenth (semitones from A4, null = rest)
+const LEAD = [
+  12, null, 10, null, 7, null, 10, 12, null, 15, null, 12, 10, null, 7, null,
+  8, null, 7, null, 5, null, 3, null, 5, null, 7, null, 8, null, 10, null,
+  7, null, 10, null, 12, null, 15, null, 14, null, 12, null, 10, null, 12, null,
+  14, null, 12, null, 10, null, 7, null, 5, null, 7, null, 10, null, null, null,
+];
+
+const KICK_STEPS = [0, 4, 8, 12];
+const HAT_STEPS = [2, 6, 10, 14];
+
+/**
+ * @param {number} semitones - Offset from A4.
+ * @returns {number} Frequency in Hz.
+ */
+function noteHz(semitones) {
+  return 440 * 2 ** (semitones / 12);
+}
+
+/**
+ * Creates a looping chiptune player that renders into `destination`.
+ * @param {AudioContext} audioCtx
+ * @param {AudioNode} destination - Usually the music bus.
+ */
+export function createMusicPlayer(audioCtx, destination) {
+  // Ducking happens on a private gain so it never fights the user's volume settings
+  const out = audioCtx.createGain();
+  out.connect(destination);
+
+  // One second of white noise, reused for hats
+  const noise = audioCtx.createBuffer(1, audioCtx.sampleRate, audioCtx.sampleRate);
+  const samples = noise.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+  let timer = null;
+  let step = 0;
+  let nextTime = 0;
+  let intensity = 0;
+
+  /**
+   * Schedules one oscillator note.
+   * @param {OscillatorType} type
+   * @param {number} freq
+   * @param {number} time
+   * @param {number} length - Seconds.
+   * @param {number} volume
+   */
+  function tone(type, freq, time, length, volume) {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, time);
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+    osc.connect(gain).connect(out);
+    osc.start(time);
+    osc.stop(time + length + 0.01);
+  }
+
+  /** @param {number} time */
+  function kick(time) {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(150, time);
+    osc.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+    gain.gain.setValueAtTime(0.25, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.14);
+    osc.connect(gain).connect(out);
+    osc.start(time);
+    osc.stop(time + 0.15);
+  }
+
+  /** @param {number} time */
+  function hat(time) {
+    const src = audioCtx.createBufferSource();
+    const filter = audioCtx.createBiquadFilter();
+    const gain = audioCtx.createGain();
+    src.buffer = noise;
+    filter.type = 'highpass';
+    filter.frequency.value = 7000;
+    gain.gain.setValueAtTime(0.05, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.04);
+    src.connect(filter).connect(gain).connect(out);
+    src.start(time, Math.random() * 0.5, 0.05);
+  }
+
+  /**
+   * Schedules everything that sounds on one sixteenth.
+   * @param {number} index - Step within the four-bar loop.
+   * @param {number} time
+   * @param {number} stepS - Length of a sixteenth in seconds.
+   */
+  function playStep(index, time, stepS) {
+    const bar = Math.floor(index / STEPS_PER_BAR);
+    const pos = index % STEPS_PER_BAR;
+    const chord = CHORDS[bar];
+
+    if (pos % 8 === 0) tone('triangle', noteHz(chord[0] - 24), time, stepS * 7, 0.16);
+    else if (intensity >= 1 && pos % 4 === 0) tone('triangle', noteHz(chord[0] - 12), time, stepS * 3, 0.1);
+    if (KICK_STEPS.includes(pos)) kick(time);
+
+    if (intensity >= 1) {
+      if (HAT_STEPS.includes(pos)) hat(time);
+      tone('square', noteHz(chord[pos % chord.length] + 12), time, stepS * 0.9, 0.025);
+    }
+    if (intensity >= 2 && LEAD[index] != null) {
+      tone('square', noteHz(LEAD[index]), time, stepS * 1.8, 0.05);
+    }
+  }
+
+  /** Fills the schedule window; runs from a timer so it keeps up between frames. */
+  function schedule() {
+    const bpm = intensity >= 3 ? BASE_BPM * 1.12 : BASE_BPM;
+    const stepS = 60 / bpm / 4;
+    // After the timer was throttled (hidden tab), skip the missed steps instead of
+    // playing them all at once
+    if (nextTime < audioCtx.currentTime) nextTime = audioCtx.currentTime;
+    while (nextTime < audioCtx.currentTime + SCHEDULE_AHEAD_S) {
+      playStep(step, nextTime, stepS);
+      step = (step + 1) % (CHORDS.length * STEPS_PER_BAR);
+      nextTime += stepS;
+    }
+  }
+
+  /** Starts the loop from the top (no-op when already playing). */
+  function start() {
+    if (timer) return;
+    step = 0;
+    nextTime = audioCtx.currentTime + 0.05;
+    schedule();
+    timer = setInterval(schedule, TIMER_MS);
+  }
+
+  /** Stops scheduling; notes already queued finish on their own. */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * @param {number} level - 0 (calm) to 3 (fastest, all layers).
+   */
+  function setIntensity(level) {
+    intensity = Math.max(0, Math.min(3, level));
+  }
+
+  /**
+   * Drops the music to `level` right away and eases back to full over `releaseS`.
+   * Pass `releaseS = 0` to hold the level until the next call.
+   * @param {number} level - 0..1 of the current volume.
+   * @param {number} [releaseS]
+   */
+  function duck(level, releaseS = 0) {
+    const t = audioCtx.currentTime;
+    out.gain.cancelScheduledValues(t);
+    out.gain.setValueAtTime(out.gain.value, t);
+    out.gain.linearRampToValueAtTime(level, t + 0.08);
+    if (releaseS > 0) out.gain.linearRampToValueAtTime(1, t + 0.08 + releaseS);
+  }
+
+  return {
+    start,
+    stop,
+    setIntensity,
+    duck,
+    /** @returns {boolean} */
+    get playing() {
+      return timer !== null;
+    },
+  };
+}
+
+/**
+ * Music intensity during a run: more layers as the score climbs. Idle screens use 0.
+ * @param {number} score
+ * @returns {number}
+ */
+export function intensityForScore(score) {
+  if (score >= 40) return 3;
+  if (score >= 15) return 2;
+  return 1;
+}
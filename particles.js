@@ -0,0 +1,136 @@
+/**
+ * Flappy Strawberry — pooled particle system
+ *
+ * Purely cosmetic, so it uses Math.random and never touches the seeded course RNG.
+ * Particles live in a fixed pool to avoid allocations during play; when the pool is
+ * full the oldest slot is recycled. Rendering is left to the caller.
+ */
+
+/**
+ * @typedef {Object} Particle
+ * @property {boolean} active
+ * @property {number} x
+ * @property {number} y
+ * @property {number} vx - px/s
+ * @property {number} vy - px/s
+ * @property {number} life - Seconds left.
+ * @property {number} maxLife - Seconds at spawn, for fading.
+ * @property {number} size - Square size in px.
+ * @property {string} color
+ * @property {number} gravity - px/s^2
+ * @property {number} drag - Fraction of velocity lost per second.
+ */
+
+/**
+ * @typedef {Object} BurstOptions
+ * @property {number} x
+ * @property {number} y
+ * @property {number} count
+ * @property {[number, number]} speed - px/s range.
+ * @property {[number, number]} [angle] - Radians range; defaults to a full circle.
+ * @property {[number, number]} life - Seconds range.
+ * @property {[number, number]} size - px range.
+ * @property {string[]} colors - Picked at random per particle.
+ * @property {number} [gravity]
+ * @property {number} [drag]
+ */
+
+/**
+ * @param {[number, number]} range
+ * @returns {number}
+ */
+function between([min, max]) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Creates a fixed-size particle pool.
+ * @param {number} [capacity]
+ */
+export function createParticlePool(capacity = 256) {
+  /** @type {Particle[]} */
+  const particles = Array.from({ length: capacity }, () => ({
+    active: false, x: 0, y: 0, vx: 0, vy: 0, life: 0, maxLife: 1, size: 2, color: '#fff', gravity: 0, drag: 0,
+  }));
+  let cursor = 0;
+
+  /** @returns {Particle} A free slot, or the next one in line to be recycled. */
+  function claim() {
+    for (let i = 0; i < capacity; i++) {
+      const p = particles[(cursor + i) % capacity];
+      if (!p.active) {
+        cursor = (cursor + i + 1) % capacity;
+        return p;
+      }
+    }
+    const p = particles[cursor];
+    cursor = (cursor + 1) % capacity;
+    return p;
+  }
+
+  /**
+   * Emits `count` particles from one point with randomized speed, direction and life.
+   * @param {BurstOptions} options
+   */
+  function burst({ x, y, count, speed, angle = [0, Math.PI * 2], life, size, colors, gravity = 0, drag = 0 }) {
+    for (let i = 0; i < count; i++) {
+      const p = claim();
+      const dir = between(angle);
+      const v = between(speed);
+      p.active = true;
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(dir) * v;
+      p.vy = Math.sin(dir) * v;
+      p.life = p.maxLife = between(life);
+      p.size = Math.max(1, Math.round(between(size)));
+      p.color = colors[Math.floor(Math.random() * colors.length)];
+      p.gravity = gravity;
+      p.drag = drag;
+    }
+  }
+
+  /**
+   * Advances every live particle.
+   * @param {number} dtS - Seconds.
+   */
+  function update(dtS) {
+    for (const p of particles) {
+      if (!p.active) continue;
+      p.life -= dtS;
+      if (p.life <= 0) {
+        p.active = false;
+        continue;
+      }
+      const damping = Math.max(0, 1 - p.drag * dtS);
+      p.vx *= damping;
+      p.vy = p.vy * damping + p.gravity * dtS;
+      p.x += p.vx * dtS;
+      p.y += p.vy * dtS;
+    }
+  }
+
+  /**
+   * Visits every live particle (for drawing).
+   * @param {(p: Particle) => void} fn
+   */
+  function forEach(fn) {
+    for (const p of particles) if (p.active) fn(p);
+  }
+
+  /** Removes every particle. */
+  function clear() {
+    for (const p of particles) p.active = false;
+  }
+
+  return {
+    burst,
+    update,
+    forEach,
+    clear,
+    /** @returns {number} Live particles. */
+    get count() {
+      return particles.reduce((n, p) => n + (p.active ? 1 : 0), 0);
+    },
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Flappy Strawberry — run logs and replay playback
+ *
+ * A run is fully described by its seed, the simulation config and the ticks on which
+ * the player flapped; re-simulating those through core.js reproduces it exactly.
+ * No DOM access here: the browser adapter handles files, URLs and drawing.
+ */
+
+import { DEFAULT_CONFIG, SIM_VERSION, createGame } from './core.js';
+import { themeById } from './themes.js';
+
+/**
+ * @typedef {Object} RunLog
+ * @property {number} v - `SIM_VERSION` the run was recorded with.
+ * @property {number} seed
+ * @property {string|null} daily - Daily Challenge date key, if any.
+ * @property {string} difficulty - Difficulty preset id (informational; `config` is authoritative).
+ * @property {string} mode - Game mode id (informational, like `difficulty`).
+ * @property {string} theme - Theme pack id the run was played with (cosmetic).
+ * @property {typeof DEFAULT_CONFIG} config - Physics/pipe constants in effect.
+ * @property {number[]} flaps - Ticks on which a flap was applied, ascending.
+ * @property {number} ticks - Length of the run in ticks (set when it ends).
+ * @property {number} score - Final score (set when it ends).
+ */
+
+/** A replay this version can't play back. `message` is an i18n.js key that `params` fill in. */
+export class ReplayError extends Error {
+  /**
+   * @param {string} key
+   * @param {Record<string, string|number>} [params]
+   */
+  constructor(key, params = {}) {
+    super(key);
+    this.name = 'ReplayError';
+    this.params = params;
+  }
+}
+
+/**
+ * Starts an empty log for the run that `game` just started.
+ * @param {ReturnType<typeof createGame>} game
+ * @param {string} difficulty - Difficulty preset id the run was started with.
+ * @param {string} [mode] - Game mode id the run was started with.
+ * @returns {RunLog}
+ */
+export function createRunLog(game, difficulty, mode = 'endless') {
+  return {
+    v: SIM_VERSION,
+    seed: game.state.seed,
+    daily: game.state.dailyKey,
+    difficulty,
+    mode,
+    theme: game.theme.id,
+    config: { ...game.config },
+    flaps: [],
+    ticks: 0,
+    score: 0,
+  };
+}
+
+/**
+ * Whether two simulation configs are identical, i.e. the same seed yields the same course.
+ * @param {typeof DEFAULT_CONFIG} a
+ * @param {typeof DEFAULT_CONFIG} b
+ * @returns {boolean}
+ */
+export function configsMatch(a, b) {
+  return Object.keys(DEFAULT_CONFIG).every((key) => a[key] === b[key]);
+}
+
+/**
+ * Serializes a log to a compact JSON string. Flap ticks are stored as base-36 deltas.
+ * @param {RunLog} log
+ * @returns {string}
+ */
+export function serializeRunLog(log) {
+  let prev = 0;
+  const deltas = log.flaps.map((tick) => {
+    const d = tick - prev;
+    prev = tick;
+    return d.toString(36);
+  });
+  return JSON.stringify({
+    v: log.v,
+    seed: log.seed,
+    daily: log.daily,
+    difficulty: log.difficulty,
+    mode: log.mode,
+    theme: log.theme,
+    config: log.config,
+    ticks: log.ticks,
+    score: log.score,
+    flaps: deltas.join('.'),
+  });
+}
+
+/**
+ * Parses and validates a serialized log.
+ * @param {string} text
+ * @returns {RunLog}
+ * @throws {ReplayError} When the text is not a replay this version can play back.
+ */
+export function parseRunLog(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new ReplayError('notice.replayNotJson');
+  }
+  if (!raw || typeof raw !== 'object') throw new ReplayError('notice.replayEmpty');
+  if (raw.v !== SIM_VERSION) throw new ReplayError('notice.replayVersion', { version: String(raw.v) });
+  if (!Number.isInteger(raw.seed) || raw.seed < 0) throw new ReplayError('notice.replaySeed');
+  if (!Number.isInteger(raw.ticks) || raw.ticks < 0) throw new ReplayError('notice.replayLength');
+
+  const config = { ...DEFAULT_CONFIG };
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const value = raw.config && raw.config[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw new ReplayError('notice.replayConfig', { key });
+    config[key] = value;
+  }
+
+  const flaps = [];
+  let tick = 0;
+  for (const part of String(raw.flaps || '').split('.').filter(Boolean)) {
+    const delta = parseInt(part, 36);
+    if (!Number.isInteger(delta) || delta < 0) throw new ReplayError('notice.replayFlaps');
+    tick += delta;
+    flaps.push(tick);
+  }
+
+  return {
+    v: raw.v,
+    seed: raw.seed,
+    daily: typeof raw.daily === 'string' ? raw.daily : null,
+    difficulty: typeof raw.difficulty === 'string' ? raw.difficulty : 'normal',
+    mode: typeof raw.mode === 'string' ? raw.mode : 'endless',
+    theme: themeById(raw.theme).id,
+    config,
+    flaps,
+    ticks: raw.ticks,
+    score: Number.isInteger(raw.score) ? raw.score : 0,
+  };
+}
+
+/**
+ * Encodes a log for a URL fragment (base64url of the serialized JSON).
+ * @param {RunLog} log
+ * @returns {string}
+ */
+export function encodeRunLog(log) {
+  const bytes = new TextEncoder().encode(serializeRunLog(log));
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a log produced by `encodeRunLog`.
+ * @param {string} encoded
+ * @returns {RunLog}
+ * @throws {ReplayError} When the data is corrupt or incompatible.
+ */
+export function decodeRunLog(encoded) {
+  let binary;
+  try {
+    binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch {
+    throw new ReplayError('notice.replayLinkCorrupt');
+  }
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return parseRunLog(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Re-simulates a logged run tick by tick through the same core `step` logic.
+ * Seeking backwards restarts from tick 0 and fast-forwards, which is cheap at this scale.
+ * @param {RunLog} log
+ */
+export function createReplayPlayer(log) {
+  const game = createGame({ config: log.config, theme: themeById(log.theme) });
+  const flapTicks = new Set(log.flaps);
+
+  function restart() {
+    game.start(log.seed, log.daily);
+  }
+
+  /**
+   * Advances one tick unless the run has ended.
+   * @param {number} dt - Step length in ms.
+   * @returns {import('./core.js').GameEvent[]}
+   */
+  function advance(dt) {
+    if (game.state.tick >= log.ticks || game.state.gameOver) return [];
+    return game.step({ flap: flapTicks.has(game.state.tick) }, dt);
+  }
+
+  /**
+   * Jumps to the given tick.
+   * @param {number} target
+   * @param {number} dt - Step length in ms.
+   */
+  function seek(target, dt) {
+    const clamped = Math.max(0, Math.min(log.ticks, Math.round(target)));
+    if (clamped < game.state.tick) restart();
+    while (game.state.tick < clamped && !game.state.gameOver) advance(dt);
+  }
+
+  restart();
+  return {
+    log,
+    game,
+    advance,
+    seek,
+    /** @returns {boolean} Whether playback reached the end of the run. */
+    get finished() {
+      return game.state.tick >= log.ticks || game.state.gameOver;
+    },
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Flappy Strawberry — skin definitions
+ *
+ * Skins are plain data rendered by the adapter's vector strawberry drawing, so adding
+ * one needs no image assets. Prices are in seeds collected during runs.
+ */
+
+/**
+ * @typedef {Object} Skin
+ * @property {string} id - Stable key stored in settings and the wallet.
+ * @property {string} name
+ * @property {number} price - Seeds needed to unlock (0 = always owned).
+ * @property {[string, string]} body - Radial gradient: center, edge.
+ * @property {string} seedColor
+ * @property {'grid'|'ring'|'scatter'|'none'} seedPattern
+ * @property {'crown'|'spiky'|'single'} leafShape
+ * @property {string} leafColor
+ * @property {{colors:string[], everyMs:number}|null} trail - Particles left behind while flying.
+ * @property {{type:OscillatorType, freq:number}|null} flapSound - Blip played on each flap.
+ */
+
+/** @type {readonly Skin[]} */
+export const SKINS = Object.freeze([
+  {
+    id: 'classic',
+    name: 'Strawberry',
+    price: 0,
+    body: ['#ff7087', '#ff2f67'],
+    seedColor: '#ffe08a',
+    seedPattern: 'grid',
+    leafShape: 'crown',
+    leafColor: '#22c55e',
+    trail: null,
+    flapSound: null,
+  },
+  {
+    id: 'pineberry',
+    name: 'Pineberry',
+    price: 40,
+    body: ['#fff5f5', '#f3d6d6'],
+    seedColor: '#ff2f67',
+    seedPattern: 'grid',
+    leafShape: 'crown',
+    leafColor: '#16a34a',
+    trail: null,
+    flapSound: { type: 'triangle', freq: 880 },
+  },
+  {
+    id: 'blueberry',
+    name: 'Blueberry',
+    price: 80,
+    body: ['#818cf8', '#3730a3'],
+    seedColor: '#c7d2fe',
+    seedPattern: 'none',
+    leafShape: 'spiky',
+    leafColor: '#312e81',
+    trail: { colors: ['#a5b4fc', '#6366f1'], everyMs: 70 },
+    flapSound: { type: 'sine', freq: 523 },
+  },
+  {
+    id: 'dragonfruit',
+    name: 'Dragon fruit',
+    price: 120,
+    body: ['#f472b6', '#be185d'],
+    seedColor: '#111827',
+    seedPattern: 'ring',
+    leafShape: 'spiky',
+    leafColor: '#84cc16',
+    trail: { colors: ['#f9a8d4', '#84cc16'], everyMs: 60 },
+    flapSound: { type: 'sawtooth', freq: 392 },
+  },
+  {
+    id: 'golden',
+    name: 'Golden berry',
+    price: 150,
+    body: ['#fde68a', '#f59e0b'],
+    seedColor: '#fff7cc',
+    seedPattern: 'scatter',
+    leafShape: 'single',
+    leafColor: '#65a30d',
+    trail: { colors: ['#facc15', '#fde68a', '#fff7cc'], everyMs: 40 },
+    flapSound: { type: 'square', freq: 1047 },
+  },
+  {
+    id: 'choco',
+    name: 'Choco-dipped',
+    price: 200,
+    body: ['#a16207', '#451a03'],
+    seedColor: '#fef3c7',
+    seedPattern: 'scatter',
+    leafShape: 'crown',
+    leafColor: '#22c55e',
+    trail: { colors: ['#78350f', '#a16207'], everyMs: 80 },
+    flapSound: { type: 'square', freq: 659 },
+  },
+]);
+
+/**
+ * Looks up a skin, falling back to the classic strawberry for unknown ids.
+ * @param {string} id
+ * @returns {Skin}
+ */
+export function skinById(id) {
+  return SKINS.find((skin) => skin.id === id) || SKINS[0];
+}
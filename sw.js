@@ -0,0 +1,58 @@
+/**
+ * Flappy Strawberry — service worker
+ *
+ * Precaches the whole game so it runs offline, then serves it cache-first. Bump
+ * CACHE_VERSION whenever a precached file changes: the browser sees a new worker, the
+ * page offers to reload, and the worker only takes over once the player accepts.
+ */
+
+const CACHE_VERSION = 8;
+const CACHE_NAME = `flappy-strawberry-v${CACHE_VERSION}`;
+
+const PRECACHE = [
+  './',
+  './index.html',
+  './styles.css',
+  './index.js',
+  './core.js',
+  './replay.js',
+  './particles.js',
+  './skins.js',
+  './themes.js',
+  './music.js',
+  './devtools.js',
+  './achievements.js',
+  './gif.js',
+  './course.js',
+  './i18n.js',
+  './manifest.webmanifest',
+  './fonts/silkscreen-400.woff2',
+  './fonts/silkscreen-700.woff2',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// The page posts this when the player accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  // `?seed=` and `#replay=` links still open the cached page
+  const lookup = request.mode === 'navigate' ? caches.match('./index.html') : caches.match(request);
+  event.respondWith(lookup.then((cached) => cached || fetch(request)));
+});
@@ -0,0 +1,117 @@
+/**
+ * Simulation tests: drive core.js headlessly with fixed seeds, one STEP_MS at a time.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, GAME_HEIGHT, STEP_MS } from '../core.js';
+
+const SEED = 4242;
+// Plenty for any run these tests play; a stuck run fails instead of hanging
+const MAX_STEPS = 120000;
+
+/**
+ * Flaps when falling below the next pipe's gap, which clears a few dozen pipes on SEED.
+ * @param {ReturnType<typeof createGame>} game
+ * @returns {boolean}
+ */
+function botFlap(game) {
+  const pipe = game.pipes.find((p) => !p.passed);
+  return game.strawberry.y > (pipe ? pipe.topHeight : 200) + 110 && game.strawberry.vy > 0;
+}
+
+/**
+ * Steps a started game until it ends.
+ * @param {ReturnType<typeof createGame>} game
+ * @param {(game: ReturnType<typeof createGame>, step: number) => boolean} flapFor
+ * @returns {{events: import('../core.js').GameEvent[], flaps: number[], steps: number}} Every
+ *   event, the steps on which a flap was sent and how many steps the run lasted.
+ */
+function playOut(game, flapFor) {
+  const events = [];
+  const flaps = [];
+  let steps = 0;
+  for (; steps < MAX_STEPS && !game.state.gameOver; steps++) {
+    const flap = flapFor(game, steps);
+    if (flap) flaps.push(steps);
+    events.push(...game.step({ flap }, STEP_MS));
+  }
+  assert.ok(game.state.gameOver, 'run did not end');
+  return { events, flaps, steps };
+}
+
+test('passing a pipe scores a point', () => {
+  const game = createGame();
+  game.start(SEED);
+  let pass = null;
+  for (let i = 0; i < MAX_STEPS && !pass && !game.state.gameOver; i++) {
+    pass = game.step({ flap: botFlap(game) }, STEP_MS).find((e) => e.type === 'pass');
+  }
+  assert.ok(pass, 'no pipe was passed');
+  assert.equal(pass.score, 1);
+  assert.equal(game.state.score, 1);
+  assert.equal(game.pipes.filter((p) => p.passed).length, 1);
+});
+
+test('touching the ground ends the run', () => {
+  const game = createGame();
+  game.start(SEED);
+  const { events } = playOut(game, () => false);
+  assert.equal(events.filter((e) => e.type === 'die').length, 1);
+  assert.equal(game.state.score, 0);
+  assert.equal(game.state.contact.y, GAME_HEIGHT - game.config.groundHeight);
+  // A finished run ignores further steps
+  const { y } = game.strawberry;
+  assert.deepEqual(game.step({ flap: true }, STEP_MS), []);
+  assert.equal(game.strawberry.y, y);
+});
+
+test('the ceiling stops the strawberry', () => {
+  const game = createGame();
+  game.start(SEED);
+  const s = game.strawberry;
+  // Long enough to reach the top, short enough that the first pipe is still far off
+  for (let i = 0; i < 150; i++) {
+    game.step({ flap: true }, STEP_MS);
+    assert.ok(s.y >= s.radius, `strawberry left the screen at y ${s.y}`);
+  }
+  assert.equal(s.y, s.radius);
+  assert.equal(s.vy, 0);
+  assert.equal(game.state.gameOver, false);
+});
+
+test('a higher score raises the best by game over', () => {
+  const game = createGame({ best: 3 });
+  game.start(SEED);
+  const { events } = playOut(game, botFlap);
+  assert.ok(game.state.score > 3);
+  assert.equal(game.state.best, game.state.score);
+  assert.equal(game.state.newBestAchieved, true);
+  assert.equal(events.filter((e) => e.type === 'best').pop().best, game.state.score);
+});
+
+test('a lower score keeps the best', () => {
+  const game = createGame({ best: 1000 });
+  game.start(SEED);
+  const { events } = playOut(game, botFlap);
+  assert.equal(game.state.best, 1000);
+  assert.equal(game.state.newBestAchieved, false);
+  assert.equal(events.some((e) => e.type === 'best'), false);
+});
+
+test('the same seed and flap ticks replay the same run', () => {
+  const original = createGame();
+  original.start(SEED);
+  const { flaps, steps } = playOut(original, botFlap);
+
+  const replay = createGame();
+  replay.start(SEED);
+  const flapSteps = new Set(flaps);
+  const again = playOut(replay, (game, step) => flapSteps.has(step));
+
+  assert.ok(original.state.score > 0);
+  assert.equal(again.steps, steps);
+  assert.equal(replay.state.score, original.state.score);
+  assert.equal(replay.strawberry.y, original.strawberry.y);
+  assert.equal(replay.strawberry.rotation, original.strawberry.rotation);
+});
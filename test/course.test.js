@@ -0,0 +1,69 @@
+/**
+ * Course format tests: parsing, validation and clamping of hand-made courses.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, GAME_HEIGHT } from '../core.js';
+import { CourseError, MAX_GAP, MAX_OBSTACLES, createObstacle, defaultCourse, parseCourse, serializeCourse } from '../course.js';
+import { translate } from '../i18n.js';
+
+/**
+ * @param {object[]} obstacles
+ * @returns {string}
+ */
+function courseText(obstacles) {
+  return JSON.stringify({ v: 1, name: 'Test', finish: 0, obstacles });
+}
+
+test('a serialized course parses back unchanged', () => {
+  const course = defaultCourse();
+  assert.deepEqual(parseCourse(serializeCourse(course)), course);
+});
+
+test('unknown and inherited style names fall back to the theme pack', () => {
+  const styles = ['constructor', 'toString', '__proto__', 'nope'];
+  const course = parseCourse(courseText(styles.map((style, i) => ({ ...createObstacle(400 + i * 200), style }))));
+  assert.deepEqual(course.obstacles.map((o) => o.style), [null, null, null, null]);
+});
+
+test('oscillating obstacles keep both segments on screen through their swing', () => {
+  const { oscillateAmplitude, groundHeight } = DEFAULT_CONFIG;
+  const floor = GAME_HEIGHT - groundHeight;
+  const course = parseCourse(courseText([
+    { ...createObstacle(400), gapY: 0, gap: MAX_GAP, motion: 'oscillate' },
+    { ...createObstacle(600), gapY: floor, gap: MAX_GAP, motion: 'oscillate' },
+    { ...createObstacle(800), gapY: 0, motion: 'static' },
+  ]));
+  const [high, low, still] = course.obstacles;
+  assert.ok(high.gapY - high.gap / 2 - oscillateAmplitude > 0);
+  assert.ok(low.gapY + low.gap / 2 + oscillateAmplitude < floor);
+  // Static obstacles may sit closer to the edges
+  assert.ok(still.gapY - still.gap / 2 < oscillateAmplitude);
+});
+
+test('a course may hold up to MAX_OBSTACLES obstacles', () => {
+  const obstacles = Array.from({ length: MAX_OBSTACLES }, (_, i) => createObstacle(400 + i * 200));
+  assert.equal(parseCourse(courseText(obstacles)).obstacles.length, MAX_OBSTACLES);
+  assert.throws(() => parseCourse(courseText([...obstacles, createObstacle(400 + MAX_OBSTACLES * 200)])), CourseError);
+});
+
+test('invalid courses throw translatable errors', () => {
+  const cases = [
+    ['{', 'notice.courseNotJson'],
+    ['null', 'notice.courseEmpty'],
+    [JSON.stringify({ v: 99, obstacles: [] }), 'notice.courseVersion'],
+    [JSON.stringify({ v: 1 }), 'notice.courseNoObstacles'],
+    [courseText(Array.from({ length: MAX_OBSTACLES + 1 }, (_, i) => createObstacle(400 + i * 200))), 'notice.courseTooMany'],
+    [courseText([createObstacle(400), { x: 'far' }]), 'notice.courseBadObstacle'],
+  ];
+  for (const [text, key] of cases) {
+    assert.throws(() => parseCourse(text), (err) => {
+      assert.ok(err instanceof CourseError);
+      assert.equal(err.message, key);
+      for (const lang of ['en', 'pt']) assert.notEqual(translate(lang, key, err.params), key);
+      return true;
+    });
+  }
+  assert.equal(translate('pt', 'notice.courseBadObstacle', { n: 2 }), 'O obstáculo 2 da pista é inválido');
+});
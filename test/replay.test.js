@@ -0,0 +1,50 @@
+/**
+ * Run log tests: serializing, sharing and validating recorded runs.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SIM_VERSION, createGame } from '../core.js';
+import { ReplayError, createRunLog, decodeRunLog, encodeRunLog, parseRunLog, serializeRunLog } from '../replay.js';
+import { translate } from '../i18n.js';
+
+/** @returns {import('../replay.js').RunLog} A finished log with a few flaps. */
+function sampleLog() {
+  const game = createGame();
+  game.start(4242);
+  const log = createRunLog(game, 'normal');
+  log.flaps.push(3, 40, 41, 250);
+  log.ticks = 400;
+  log.score = 2;
+  return log;
+}
+
+test('a shared replay link decodes back unchanged', () => {
+  const log = sampleLog();
+  assert.deepEqual(decodeRunLog(encodeRunLog(log)), parseRunLog(serializeRunLog(log)));
+  assert.deepEqual(parseRunLog(serializeRunLog(log)).flaps, log.flaps);
+});
+
+test('invalid replays throw translatable errors', () => {
+  const valid = JSON.parse(serializeRunLog(sampleLog()));
+  const text = (changes) => JSON.stringify({ ...valid, ...changes });
+  const cases = [
+    [() => parseRunLog('{'), 'notice.replayNotJson'],
+    [() => parseRunLog('null'), 'notice.replayEmpty'],
+    [() => parseRunLog(text({ v: SIM_VERSION + 1 })), 'notice.replayVersion'],
+    [() => parseRunLog(text({ seed: -1 })), 'notice.replaySeed'],
+    [() => parseRunLog(text({ ticks: 'long' })), 'notice.replayLength'],
+    [() => parseRunLog(text({ config: { ...valid.config, gravity: 'down' } })), 'notice.replayConfig'],
+    [() => parseRunLog(text({ flaps: '3.-1' })), 'notice.replayFlaps'],
+    [() => decodeRunLog('not base64!'), 'notice.replayLinkCorrupt'],
+  ];
+  for (const [load, key] of cases) {
+    assert.throws(load, (err) => {
+      assert.ok(err instanceof ReplayError);
+      assert.equal(err.message, key);
+      for (const lang of ['en', 'pt']) assert.notEqual(translate(lang, key, err.params), key);
+      return true;
+    });
+  }
+  assert.equal(translate('pt', 'notice.replayConfig', { key: 'gravity' }), 'A configuração "gravity" do replay é inválida');
+});
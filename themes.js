@@ -0,0 +1,282 @@
+/**
+ * Flappy Strawberry — obstacle styles and theme packs
+ *
+ * Obstacle looks and background palettes are plain data; the adapter renders them with a
+ * handful of pattern routines. A theme pack decides which style each pipe segment gets,
+ * either fixed, rolled per pipe, or switched every few pipes. No DOM access here.
+ */
+
+/**
+ * @typedef {Object} ObstacleStyle
+ * @property {string} label - Text printed on the segment ('' for none).
+ * @property {string} fill - Base panel color.
+ * @property {'stripes'|'dots'|'bricks'|'chevrons'|'circuit'|'none'} pattern
+ * @property {string} patternColor
+ * @property {'header'|'footer'} cap - Which end gets the solid band (and the label).
+ * @property {string} capColor
+ * @property {string} border - Left/right edge color.
+ * @property {string} textColor
+ */
+
+/** @type {Readonly<Record<string, ObstacleStyle>>} */
+export const OBSTACLE_STYLES = Object.freeze({
+  copilot: {
+    label: 'COPILOT',
+    fill: '#1d1147',
+    pattern: 'stripes',
+    patternColor: '#4c1d95',
+    cap: 'header',
+    capColor: '#6d28d9',
+    border: '#2a1566',
+    textColor: '#e7e8ea',
+  },
+  sonnet: {
+    label: 'SONNET',
+    fill: '#3a1d09',
+    pattern: 'dots',
+    patternColor: '#d97706',
+    cap: 'footer',
+    capColor: '#b45309',
+    border: '#4a240c',
+    textColor: '#e7e8ea',
+  },
+  brick: {
+    label: '',
+    fill: '#4a1c14',
+    pattern: 'bricks',
+    patternColor: '#2b0f0a',
+    cap: 'header',
+    capColor: '#7c2d12',
+    border: '#2b0f0a',
+    textColor: '#fed7aa',
+  },
+  vine: {
+    label: 'VINE',
+    fill: '#0f2f1a',
+    pattern: 'chevrons',
+    patternColor: '#22c55e',
+    cap: 'footer',
+    capColor: '#15803d',
+    border: '#052e16',
+    textColor: '#dcfce7',
+  },
+  candy: {
+    label: 'CANDY',
+    fill: '#fbcfe8',
+    pattern: 'stripes',
+    patternColor: '#ec4899',
+    cap: 'header',
+    capColor: '#db2777',
+    border: '#9d174d',
+    textColor: '#500724',
+  },
+  crystal: {
+    label: '',
+    fill: '#164e63',
+    pattern: 'chevrons',
+    patternColor: '#67e8f9',
+    cap: 'footer',
+    capColor: '#0891b2',
+    border: '#083344',
+    textColor: '#ecfeff',
+  },
+  circuit: {
+    label: 'CPU',
+    fill: '#052e2b',
+    pattern: 'circuit',
+    patternColor: '#2dd4bf',
+    cap: 'header',
+    capColor: '#0f766e',
+    border: '#042f2e',
+    textColor: '#ccfbf1',
+  },
+});
+
+/**
+ * Accessibility look used instead of the theme pack's styles: plain white segments with a
+ * yellow band on the end that faces the gap.
+ * @type {Readonly<{top: ObstacleStyle, bottom: ObstacleStyle}>}
+ */
+export const HIGH_CONTRAST_STYLES = Object.freeze({
+  top: {
+    label: '',
+    fill: '#ffffff',
+    pattern: 'none',
+    patternColor: '#ffffff',
+    cap: 'footer',
+    capColor: '#facc15',
+    border: '#000000',
+    textColor: '#000000',
+  },
+  bottom: {
+    label: '',
+    fill: '#ffffff',
+    pattern: 'none',
+    patternColor: '#ffffff',
+    cap: 'header',
+    capColor: '#facc15',
+    border: '#000000',
+    textColor: '#000000',
+  },
+});
+
+/**
+ * Colors for the parallax background. Sky is banded from `skyTop` to `skyBottom` (RGB).
+ * @typedef {Object} BackgroundPalette
+ * @property {[number, number, number]} skyTop
+ * @property {[number, number, number]} skyBottom
+ * @property {string} stars
+ * @property {string} hills
+ * @property {string} clouds
+ * @property {string} ground
+ * @property {string} bushes
+ * @property {string} horizon
+ */
+
+/**
+ * Accessibility background: flat black sky with nothing moving in it and a bright horizon.
+ * @type {Readonly<BackgroundPalette>}
+ */
+export const HIGH_CONTRAST_BACKGROUND = Object.freeze({
+  skyTop: [0, 0, 0],
+  skyBottom: [0, 0, 0],
+  stars: '#000000',
+  hills: '#000000',
+  clouds: '#000000',
+  ground: '#262626',
+  bushes: '#262626',
+  horizon: '#facc15',
+});
+
+/**
+ * @typedef {Object} ThemePack
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} top - Style ids used for top segments.
+ * @property {string[]} bottom - Style ids used for bottom segments.
+ * @property {'fixed'|'random'|'segment'} mix - First style only, a random one per pipe,
+ *   or the next one every `segmentLength` pipes.
+ * @property {number} [segmentLength]
+ * @property {BackgroundPalette} background
+ */
+
+/** @type {readonly ThemePack[]} */
+export const THEME_PACKS = Object.freeze([
+  {
+    id: 'classic',
+    name: 'Classic',
+    top: ['copilot'],
+    bottom: ['sonnet'],
+    mix: 'fixed',
+    background: {
+      skyTop: [16, 17, 22],
+      skyBottom: [24, 25, 30],
+      stars: '#cbd5e1',
+      hills: '#0f2b2b',
+      clouds: '#1f2937',
+      ground: '#0c0f18',
+      bushes: '#064e3b',
+      horizon: '#0f1220',
+    },
+  },
+  {
+    id: 'garden',
+    name: 'Garden',
+    top: ['vine', 'brick'],
+    bottom: ['brick', 'vine'],
+    mix: 'random',
+    background: {
+      skyTop: [28, 44, 64],
+      skyBottom: [70, 92, 96],
+      stars: '#e0f2fe',
+      hills: '#1f4d2b',
+      clouds: '#5b7083',
+      ground: '#2a1a0e',
+      bushes: '#166534',
+      horizon: '#1c1208',
+    },
+  },
+  {
+    id: 'candy',
+    name: 'Candy',
+    top: ['candy', 'crystal'],
+    bottom: ['crystal', 'candy'],
+    mix: 'segment',
+    segmentLength: 5,
+    background: {
+      skyTop: [58, 24, 64],
+      skyBottom: [120, 52, 96],
+      stars: '#fce7f3',
+      hills: '#6b2153',
+      clouds: '#9d4b86',
+      ground: '#3b0d2e',
+      bushes: '#be185d',
+      horizon: '#2a0920',
+    },
+  },
+  {
+    id: 'circuit',
+    name: 'Circuit',
+    top: ['circuit', 'copilot', 'crystal'],
+    bottom: ['circuit', 'sonnet', 'crystal'],
+    mix: 'segment',
+    segmentLength: 4,
+    background: {
+      skyTop: [4, 12, 20],
+      skyBottom: [8, 28, 36],
+      stars: '#5eead4',
+      hills: '#0b3b3a',
+      clouds: '#12303a',
+      ground: '#03080c',
+      bushes: '#115e59',
+      horizon: '#0f766e',
+    },
+  },
+  {
+    id: 'arcade',
+    name: 'Arcade mix',
+    top: Object.keys(OBSTACLE_STYLES),
+    bottom: Object.keys(OBSTACLE_STYLES),
+    mix: 'random',
+    background: {
+      skyTop: [20, 10, 36],
+      skyBottom: [40, 20, 60],
+      stars: '#fde68a',
+      hills: '#312e81',
+      clouds: '#3b1d5e',
+      ground: '#0e0718',
+      bushes: '#6d28d9',
+      horizon: '#a21caf',
+    },
+  },
+]);
+
+/**
+ * Looks up a theme pack, falling back to the classic one for unknown ids.
+ * @param {string} id
+ * @returns {ThemePack}
+ */
+export function themeById(id) {
+  return THEME_PACKS.find((pack) => pack.id === id) || THEME_PACKS[0];
+}
+
+/**
+ * Picks the obstacle styles for the `index`-th pipe of a run.
+ * @param {ThemePack} pack
+ * @param {number} index - Pipes spawned before this one in the run.
+ * @param {() => number} rng - Cosmetic randomness (never the course RNG).
+ * @returns {{top:string, bottom:string}}
+ */
+export function pickObstacleStyles(pack, index, rng) {
+  if (pack.mix === 'random') {
+    return {
+      top: pack.top[Math.floor(rng() * pack.top.length)],
+      bottom: pack.bottom[Math.floor(rng() * pack.bottom.length)],
+    };
+  }
+  if (pack.mix === 'segment') {
+    const segment = Math.floor(index / Math.max(1, pack.segmentLength || 1));
+    return { top: pack.top[segment % pack.top.length], bottom: pack.bottom[segment % pack.bottom.length] };
+  }
+  return { top: pack.top[0], bottom: pack.bottom[0] };
+}